@@ -3,6 +3,8 @@
  * Handles secure API calls through backend proxy
  */
 
+import { createResponseError } from './request-retry.js';
+
 /**
  * Make a request to the Vercel backend proxy
  * @param {string} apiEndpoint - Backend proxy endpoint URL
@@ -10,9 +12,14 @@
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} path - API path (e.g., "collections", "collections/{id}/items")
  * @param {object} params - Query parameters or request body
+ * @param {object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<any>} API response
+ * @throws {Error} With status and retryAfter for non-OK responses, isNetworkError when the proxy can't
+ *   be reached, or an AbortError when cancelled
  */
-export async function proxyRequest(apiEndpoint, siteId, method, path, params = {}) {
+export async function proxyRequest(apiEndpoint, siteId, method, path, params = {}, options = {}) {
+  const { signal } = options;
   // Handle both cases: full path or base URL
   // If apiEndpoint already includes /api/webflow-proxy, use it as-is
   // Otherwise, append /api/webflow-proxy
@@ -33,17 +40,20 @@ export async function proxyRequest(apiEndpoint, siteId, method, path, params = {
         path,
         params,
       }),
+      signal,
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw createResponseError(errorData.message || `HTTP ${response.status}: ${response.statusText}`, response);
     }
 
     return await response.json();
   } catch (error) {
     if (error instanceof TypeError && error.message.includes('fetch')) {
-      throw new Error('Network error: Unable to reach backend proxy. Please check your connection.');
+      const networkError = new Error('Network error: Unable to reach backend proxy. Please check your connection.');
+      networkError.isNetworkError = true;
+      throw networkError;
     }
     throw error;
   }
@@ -55,10 +65,11 @@ export async function proxyRequest(apiEndpoint, siteId, method, path, params = {
  * @param {string} siteId - Webflow site ID
  * @param {string} path - API path
  * @param {object} queryParams - Query parameters
+ * @param {object} options - Request options ({ signal })
  * @returns {Promise<any>} API response
  */
-export async function proxyGet(apiEndpoint, siteId, path, queryParams = {}) {
-  return proxyRequest(apiEndpoint, siteId, 'GET', path, queryParams);
+export async function proxyGet(apiEndpoint, siteId, path, queryParams = {}, options = {}) {
+  return proxyRequest(apiEndpoint, siteId, 'GET', path, queryParams, options);
 }
 
 /**
@@ -67,9 +78,10 @@ export async function proxyGet(apiEndpoint, siteId, path, queryParams = {}) {
  * @param {string} siteId - Webflow site ID
  * @param {string} path - API path
  * @param {object} body - Request body
+ * @param {object} options - Request options ({ signal })
  * @returns {Promise<any>} API response
  */
-export async function proxyPost(apiEndpoint, siteId, path, body = {}) {
-  return proxyRequest(apiEndpoint, siteId, 'POST', path, body);
+export async function proxyPost(apiEndpoint, siteId, path, body = {}, options = {}) {
+  return proxyRequest(apiEndpoint, siteId, 'POST', path, body, options);
 }
 
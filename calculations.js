@@ -5,163 +5,451 @@
 
 import {
   isWeekend,
-  isPublicHoliday,
-  isDateInSchoolHoliday,
-  isHoliday,
   getDatesInRange,
+  toPlainDate,
+  addDays,
+  DEFAULT_WORKING_DAYS,
 } from './date-utils.js';
+import { createHolidayIndex } from './holiday-index.js';
+
+/**
+ * Use the holiday index passed in the options, or build one for this call
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Calculation options
+ * @returns {object} Holiday index
+ */
+function resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options) {
+  return options.holidayIndex
+    || createHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, {
+      schoolStateId: options.schoolStateId,
+      countryId: options.countryId,
+      schoolCountryId: options.schoolCountryId,
+    });
+}
+
+/**
+ * Check if a day costs a day of leave (a working day that isn't a public holiday)
+ * @param {string} date - Plain date
+ * @param {object} holidayIndex - Holiday index
+ * @param {number[]} workingDays - Working days of the week
+ * @returns {boolean} True if leave is charged for the day
+ */
+function isLeaveDay(date, holidayIndex, workingDays) {
+  return !isWeekend(date, workingDays) && !holidayIndex.isPublicHoliday(date);
+}
+
+/**
+ * Check if a day is a school day (a leave day outside school holiday periods)
+ * @param {string} date - Plain date
+ * @param {object} holidayIndex - Holiday index
+ * @param {number[]} workingDays - Working days of the week
+ * @returns {boolean} True if the day is a school day
+ */
+function isSchoolDay(date, holidayIndex, workingDays) {
+  return isLeaveDay(date, holidayIndex, workingDays) && !holidayIndex.isSchoolHoliday(date);
+}
+
+/**
+ * Get how much of a day is taken off
+ * The first and last day of a range can be half days (e.g. leaving at lunchtime);
+ * a single-day range with either half-day marker counts as half a day
+ * @param {string} date - Plain date
+ * @param {string} rangeStart - First day of the range
+ * @param {string} rangeEnd - Last day of the range
+ * @param {object} options - Calculation options with halfDayStart/halfDayEnd
+ * @returns {number} 1 for a full day, 0.5 for a half day
+ */
+function getDayFraction(date, rangeStart, rangeEnd, options) {
+  const { halfDayStart = false, halfDayEnd = false } = options;
+  if ((date === rangeStart && halfDayStart) || (date === rangeEnd && halfDayEnd)) {
+    return 0.5;
+  }
+  return 1;
+}
+
+/**
+ * Add up the fractions of the days in a range that match a condition
+ * @param {string[]} dates - Plain dates in the range
+ * @param {Function} predicate - Condition for a day to count
+ * @param {object} options - Calculation options with halfDayStart/halfDayEnd
+ * @returns {number} Number of days, possibly fractional
+ */
+function sumDays(dates, predicate, options) {
+  const rangeStart = dates[0];
+  const rangeEnd = dates[dates.length - 1];
+  return dates.reduce((total, date) => (
+    predicate(date) ? total + getDayFraction(date, rangeStart, rangeEnd, options) : total
+  ), 0);
+}
 
 /**
  * Calculate total days off
  * Includes all selected dates plus all holidays within the selected range
- * @param {Date} startDate - Start of selected date range
- * @param {Date} endDate - End of selected date range
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
  * @param {Array} publicHolidays - Array of public holiday objects
  * @param {Array} schoolHolidays - Array of school holiday objects
  * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Calculation options
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
  * @returns {number} Total days off
  */
-export function calculateTotalDaysOff(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null) {
+export function calculateTotalDaysOff(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
   if (!startDate || !endDate) {
     return 0;
   }
 
-  const selectedDates = getDatesInRange(startDate, endDate);
-  const selectedDateSet = new Set(selectedDates.map(d => d.toISOString().split('T')[0]));
-
-  // Get all holidays within the selected range
-  const holidaysInRange = new Set();
-
-  // Add public holidays in range
-  if (publicHolidays) {
-    publicHolidays.forEach(holiday => {
-      // Filter by state if provided
-      if (selectedStateId && holiday.stateIds && !holiday.stateIds.includes(selectedStateId)) {
-        return;
-      }
-
-      const holidayDate = holiday.date;
-      if (holidayDate >= startDate && holidayDate <= endDate) {
-        const dateKey = holidayDate.toISOString().split('T')[0];
-        holidaysInRange.add(dateKey);
-      }
-    });
-  }
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
 
-  // Add school holidays in range
-  if (schoolHolidays) {
-    schoolHolidays.forEach(holiday => {
-      // Filter by state if provided
-      if (selectedStateId && holiday.stateId && holiday.stateId !== selectedStateId) {
-        return;
-      }
+  // Work in plain dates so day keys don't shift with the browser's timezone
+  const selectedDates = getDatesInRange(startDate, endDate);
 
-      const holidayStart = holiday.startDate;
-      const holidayEnd = holiday.endDate;
-      
-      // Check if holiday period overlaps with selected range
-      if (holidayStart <= endDate && holidayEnd >= startDate) {
-        // Add all dates in the overlapping period
-        const overlapStart = holidayStart > startDate ? holidayStart : startDate;
-        const overlapEnd = holidayEnd < endDate ? holidayEnd : endDate;
-        const holidayDates = getDatesInRange(overlapStart, overlapEnd);
-        
-        holidayDates.forEach(date => {
-          const dateKey = date.toISOString().split('T')[0];
-          holidaysInRange.add(dateKey);
-        });
-      }
-    });
-  }
+  // Get all holidays (public + school) within the selected range
+  const holidaysInRange = selectedDates.filter(date => (
+    holidayIndex.isPublicHoliday(date) || holidayIndex.isSchoolHoliday(date)
+  ));
 
   // Total = selected dates + holidays in range (union of both sets)
-  const totalSet = new Set([...selectedDateSet, ...holidaysInRange]);
+  const totalSet = new Set([...selectedDates, ...holidaysInRange]);
   return totalSet.size;
 }
 
 /**
  * Calculate leave days used
  * Selected dates excluding weekends and public holidays only (NOT school holidays)
- * @param {Date} startDate - Start of selected date range
- * @param {Date} endDate - End of selected date range
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
  * @param {Array} publicHolidays - Array of public holiday objects
  * @param {Array} schoolHolidays - Array of school holiday objects (not used in calculation)
  * @param {string|null} selectedStateId - Optional state ID for filtering
- * @returns {number} Leave days used
+ * @param {object} options - Calculation options
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
+ * @param {boolean} options.halfDayStart - Only half of the first day is taken off
+ * @param {boolean} options.halfDayEnd - Only half of the last day is taken off
+ * @returns {number} Leave days used (fractional with half days)
  */
-export function calculateLeaveDaysUsed(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null) {
+export function calculateLeaveDaysUsed(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { workingDays = DEFAULT_WORKING_DAYS } = options;
   if (!startDate || !endDate) {
     return 0;
   }
 
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
   const selectedDates = getDatesInRange(startDate, endDate);
-  
-  return selectedDates.filter(date => {
-    // Exclude weekends
-    if (isWeekend(date)) {
-      return false;
-    }
-
-    // Exclude public holidays only (school holidays are NOT excluded)
-    if (isPublicHoliday(date, publicHolidays, selectedStateId)) {
-      return false;
-    }
 
-    return true;
-  }).length;
+  // Excludes weekends and public holidays only (school holidays are NOT excluded)
+  return sumDays(selectedDates, date => isLeaveDay(date, holidayIndex, workingDays), options);
 }
 
 /**
  * Calculate school days absent
  * Selected dates excluding weekends, public holidays, and school holiday periods
- * @param {Date} startDate - Start of selected date range
- * @param {Date} endDate - End of selected date range
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
  * @param {Array} publicHolidays - Array of public holiday objects
  * @param {Array} schoolHolidays - Array of school holiday objects
  * @param {string|null} selectedStateId - Optional state ID for filtering
- * @returns {number} School days absent
+ * @param {object} options - Calculation options
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
+ * @param {boolean} options.halfDayStart - Only half of the first day is taken off
+ * @param {boolean} options.halfDayEnd - Only half of the last day is taken off
+ * @returns {number} School days absent (fractional with half days)
  */
-export function calculateSchoolDaysAbsent(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null) {
+export function calculateSchoolDaysAbsent(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { workingDays = DEFAULT_WORKING_DAYS } = options;
   if (!startDate || !endDate) {
     return 0;
   }
 
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
   const selectedDates = getDatesInRange(startDate, endDate);
-  
-  return selectedDates.filter(date => {
-    // Exclude weekends
-    if (isWeekend(date)) {
-      return false;
-    }
 
-    // Exclude public holidays
-    if (isPublicHoliday(date, publicHolidays, selectedStateId)) {
-      return false;
-    }
+  // Excludes weekends, public holidays and school holiday periods
+  return sumDays(selectedDates, date => isSchoolDay(date, holidayIndex, workingDays), options);
+}
 
-    // Exclude school holiday periods
-    if (isDateInSchoolHoliday(date, schoolHolidays, selectedStateId)) {
-      return false;
+/**
+ * Calculate all metrics at once
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Calculation options
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
+ * @param {boolean} options.halfDayStart - Only half of the first day is taken off
+ * @param {boolean} options.halfDayEnd - Only half of the last day is taken off
+ * @returns {object} Object with totalDaysOff, leaveDaysUsed, schoolDaysAbsent
+ */
+export function calculateAllMetrics(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  // Build the index once and share it between the three metrics
+  const metricOptions = {
+    ...options,
+    holidayIndex: resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options),
+  };
+
+  return {
+    totalDaysOff: calculateTotalDaysOff(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId, metricOptions),
+    leaveDaysUsed: calculateLeaveDaysUsed(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId, metricOptions),
+    schoolDaysAbsent: calculateSchoolDaysAbsent(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId, metricOptions),
+  };
+}
+
+/**
+ * Explain how each day of a range counts towards the metrics
+ * Every day counts towards Total Days Off. Classifications, in order:
+ * - weekend: outside the working week
+ * - public-holiday: a public holiday (names in publicHolidays)
+ * - school-holiday: inside a school holiday period (names in schoolHolidays)
+ * - leave-day: leave is charged (leaveDays is 0.5 on a half day)
+ * - school-day: a school day is missed (schoolDays is 0.5 on a half day)
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Calculation options
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
+ * @param {boolean} options.halfDayStart - Only half of the first day is taken off
+ * @param {boolean} options.halfDayEnd - Only half of the last day is taken off
+ * @returns {Array} One entry per day: { date, classifications, publicHolidays, schoolHolidays,
+ *   dayFraction, leaveDays, schoolDays }; leaveDays and schoolDays add up to the metrics
+ */
+export function calculateDayBreakdown(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { workingDays = DEFAULT_WORKING_DAYS } = options;
+  if (!startDate || !endDate) {
+    return [];
+  }
+
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
+  const dates = getDatesInRange(startDate, endDate);
+
+  return dates.map(date => {
+    const dayFraction = getDayFraction(date, dates[0], dates[dates.length - 1], options);
+    const dayPublicHolidays = holidayIndex.getPublicHolidays(date);
+    const daySchoolHolidays = holidayIndex.getSchoolHolidays(date);
+    const leaveDay = isLeaveDay(date, holidayIndex, workingDays);
+    const schoolDay = isSchoolDay(date, holidayIndex, workingDays);
+
+    const classifications = [];
+    if (isWeekend(date, workingDays)) {
+      classifications.push('weekend');
+    }
+    if (dayPublicHolidays.length > 0) {
+      classifications.push('public-holiday');
+    }
+    if (daySchoolHolidays.length > 0) {
+      classifications.push('school-holiday');
+    }
+    if (leaveDay) {
+      classifications.push('leave-day');
+    }
+    if (schoolDay) {
+      classifications.push('school-day');
     }
 
-    return true;
-  }).length;
+    return {
+      date,
+      classifications,
+      publicHolidays: dayPublicHolidays.map(({ id = null, name, isObserved = false, actualDate = null, category = null, color = null }) => (
+        { id, name, isObserved, actualDate, category, color }
+      )),
+      schoolHolidays: daySchoolHolidays.map(({ id = null, name, category = null, color = null }) => ({ id, name, category, color })),
+      dayFraction,
+      leaveDays: leaveDay ? dayFraction : 0,
+      schoolDays: schoolDay ? dayFraction : 0,
+    };
+  });
 }
 
 /**
- * Calculate all metrics at once
- * @param {Date} startDate - Start of selected date range
- * @param {Date} endDate - End of selected date range
+ * Calculate all metrics for the same range in every state
+ * @param {Date|string} startDate - Start of selected date range
+ * @param {Date|string} endDate - End of selected date range
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {Array} states - Normalized state objects from processStates()
+ * @param {object} options - Calculation options (as for calculateAllMetrics, without holidayIndex)
+ * @returns {Array} One entry per state: { stateId, name, abbreviation, totalDaysOff, leaveDaysUsed, schoolDaysAbsent }
+ */
+export function calculateMetricsByState(startDate, endDate, publicHolidays, schoolHolidays, states, options = {}) {
+  if (!startDate || !endDate || !states) {
+    return [];
+  }
+
+  // An index passed in is for a single state, so each state builds its own, and the
+  // compared state (and its country) is used for school holidays too
+  const { holidayIndex, schoolStateId, countryId, schoolCountryId, ...stateOptions } = options;
+
+  return states.map(state => ({
+    stateId: state.id,
+    name: state.name,
+    abbreviation: state.abbreviation || '',
+    ...calculateAllMetrics(startDate, endDate, publicHolidays, schoolHolidays, state.id, {
+      ...stateOptions,
+      countryId: state.countryId || null,
+    }),
+  }));
+}
+
+/**
+ * Calculate combined metrics for several date ranges
+ * Days covered by more than one range are only counted once (as a full day if any
+ * range takes the whole day)
+ * @param {Array} ranges - Array of { startDate, endDate, halfDayStart, halfDayEnd } (incomplete ranges are ignored)
  * @param {Array} publicHolidays - Array of public holiday objects
  * @param {Array} schoolHolidays - Array of school holiday objects
  * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Calculation options
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
  * @returns {object} Object with totalDaysOff, leaveDaysUsed, schoolDaysAbsent
  */
-export function calculateAllMetrics(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId = null) {
+export function calculateCombinedMetrics(ranges, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { workingDays = DEFAULT_WORKING_DAYS } = options;
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
+
+  // Holidays inside a range are days of that range, so the union of range days is every day off
+  const dayFractions = new Map();
+  (ranges || []).forEach(range => {
+    if (!range || !range.startDate || !range.endDate) {
+      return;
+    }
+    const dates = getDatesInRange(range.startDate, range.endDate);
+    dates.forEach(date => {
+      const fraction = getDayFraction(date, dates[0], dates[dates.length - 1], range);
+      dayFractions.set(date, Math.max(dayFractions.get(date) || 0, fraction));
+    });
+  });
+
+  const sumFractions = predicate => [...dayFractions].reduce((total, [date, fraction]) => (
+    predicate(date) ? total + fraction : total
+  ), 0);
+
   return {
-    totalDaysOff: calculateTotalDaysOff(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId),
-    leaveDaysUsed: calculateLeaveDaysUsed(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId),
-    schoolDaysAbsent: calculateSchoolDaysAbsent(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId),
+    totalDaysOff: dayFractions.size,
+    leaveDaysUsed: sumFractions(date => isLeaveDay(date, holidayIndex, workingDays)),
+    schoolDaysAbsent: sumFractions(date => isSchoolDay(date, holidayIndex, workingDays)),
   };
 }
 
+/**
+ * Find the date ranges that give the most days off for a leave budget
+ * Each candidate is widened over the weekends and public holidays around it, so it
+ * spends the whole budget (or as much as the search window allows)
+ * @param {number} leaveBudget - Maximum number of leave days to spend
+ * @param {number} year - Year in which the ranges should start
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {string|null} selectedStateId - Optional state ID for filtering
+ * @param {object} options - Search options
+ * @param {number} options.limit - Maximum number of suggestions (default: 5)
+ * @param {Date|string} options.fromDate - Earliest start date to consider (e.g. today)
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the selected state, for holidays that apply to a whole country
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @param {object} options.holidayIndex - Prebuilt index from createHolidayIndex() for the same data and states
+ * @returns {Array} Non-overlapping suggestions ranked by days off per leave day,
+ *   each with plain startDate/endDate, totalDaysOff, leaveDaysUsed, schoolDaysAbsent and efficiency
+ */
+export function findBestLeaveRanges(leaveBudget, year, publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { limit = 5, fromDate = null, workingDays = DEFAULT_WORKING_DAYS } = options;
+
+  if (!leaveBudget || leaveBudget < 1 || !year) {
+    return [];
+  }
+
+  const yearStart = `${year}-01-01`;
+  const earliestStart = toPlainDate(fromDate);
+  const searchStart = earliestStart && earliestStart > yearStart ? earliestStart : yearStart;
+  const lastStart = `${year}-12-31`;
+  // Let ranges starting late in the year run on into the following January
+  const searchEnd = addDays(lastStart, 31);
+
+  if (searchStart > lastStart) {
+    return [];
+  }
+
+  const holidayIndex = resolveHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, options);
+  const days = getDatesInRange(searchStart, searchEnd);
+  const leaveDays = days.map(date => isLeaveDay(date, holidayIndex, workingDays));
+
+  const candidates = [];
+  for (let start = 0; start < days.length && days[start] <= lastStart; start++) {
+    // A range that could also take the free day before it is never the best choice
+    if (start > 0 && !leaveDays[start - 1]) {
+      continue;
+    }
+
+    let leaveUsed = leaveDays[start] ? 1 : 0;
+    if (leaveUsed > leaveBudget) {
+      continue;
+    }
+
+    let end = start;
+    while (end + 1 < days.length && leaveUsed + (leaveDays[end + 1] ? 1 : 0) <= leaveBudget) {
+      end++;
+      if (leaveDays[end]) {
+        leaveUsed++;
+      }
+    }
+
+    if (leaveUsed === 0) {
+      continue;
+    }
+
+    const totalDays = end - start + 1;
+    candidates.push({ start, end, efficiency: totalDays / leaveUsed, totalDays });
+  }
+
+  // Best ratio first, longer breaks first when the ratio ties
+  candidates.sort((a, b) => b.efficiency - a.efficiency || b.totalDays - a.totalDays || a.start - b.start);
+
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= limit) {
+      break;
+    }
+    const overlaps = chosen.some(other => candidate.start <= other.end && candidate.end >= other.start);
+    if (!overlaps) {
+      chosen.push(candidate);
+    }
+  }
+
+  return chosen.map(({ start, end }) => {
+    const startDate = days[start];
+    const endDate = days[end];
+    const metrics = calculateAllMetrics(startDate, endDate, publicHolidays, schoolHolidays, selectedStateId, { workingDays, holidayIndex });
+    return {
+      startDate,
+      endDate,
+      ...metrics,
+      efficiency: metrics.leaveDaysUsed > 0 ? metrics.totalDaysOff / metrics.leaveDaysUsed : 0,
+    };
+  });
+}
@@ -88,21 +88,24 @@ export default function CalendarComponent(props) {
       // Step 2: Detect relevant collections
       const detected = detectCollections(allCollections);
 
-      if (!detected.publicHolidays) {
+      if (detected.publicHolidays.length === 0) {
         throw new Error('Public holidays collection not found. Please ensure a collection named "Public Holidays" exists.');
       }
 
       // Step 3: Fetch collection schemas and discover fields
       const statesCollectionId = detected.states ? detected.states.id : null;
 
-      // Discover fields
-      const publicHolidaySchema = await apiClient.getCollection(detected.publicHolidays.id);
-      const publicHolidayFields = discoverPublicHolidayFields(publicHolidaySchema, statesCollectionId);
+      // Discover fields for every public and school holiday collection
+      const publicHolidayFields = [];
+      for (const collection of detected.publicHolidays) {
+        const schema = await apiClient.getCollection(collection.id);
+        publicHolidayFields.push(discoverPublicHolidayFields(schema, statesCollectionId));
+      }
 
-      let schoolHolidayFields = null;
-      if (detected.schoolHolidays) {
-        const schoolHolidaySchema = await apiClient.getCollection(detected.schoolHolidays.id);
-        schoolHolidayFields = discoverSchoolHolidayFields(schoolHolidaySchema, statesCollectionId);
+      const schoolHolidayFields = [];
+      for (const collection of detected.schoolHolidays) {
+        const schema = await apiClient.getCollection(collection.id);
+        schoolHolidayFields.push(discoverSchoolHolidayFields(schema, statesCollectionId));
       }
 
       let stateFields = null;
@@ -112,29 +115,27 @@ export default function CalendarComponent(props) {
       }
 
       // Step 4: Check if state filtering should be enabled
-      const shouldEnable = shouldEnableStateFiltering(
-        detected,
-        publicHolidayFields,
-        schoolHolidayFields || {}
-      );
+      const shouldEnable = shouldEnableStateFiltering(detected, publicHolidayFields, schoolHolidayFields);
       setEnableStateFilter(shouldEnable);
 
       // Step 5: Fetch all items
       const [publicHolidayItems, schoolHolidayItems, stateItems] = await Promise.all([
-        apiClient.fetchAllCollectionItems(detected.publicHolidays.id),
-        detected.schoolHolidays
-          ? apiClient.fetchAllCollectionItems(detected.schoolHolidays.id)
-          : Promise.resolve([]),
+        apiClient.fetchAllItemsFromCollections(detected.publicHolidays.map(collection => collection.id)),
+        apiClient.fetchAllItemsFromCollections(detected.schoolHolidays.map(collection => collection.id)),
         detected.states
           ? apiClient.fetchAllCollectionItems(detected.states.id)
           : Promise.resolve([]),
       ]);
 
-      // Step 6: Process and normalize data
-      const processedPublicHolidays = processPublicHolidays(publicHolidayItems, publicHolidayFields);
-      const processedSchoolHolidays = schoolHolidayFields
-        ? processSchoolHolidays(schoolHolidayItems, schoolHolidayFields)
-        : [];
+      // Step 6: Process and normalize data - holidays from several collections are merged
+      const processedPublicHolidays = processPublicHolidays(
+        publicHolidayItems.map((items, i) => ({ items, fields: publicHolidayFields[i] })),
+        null
+      );
+      const processedSchoolHolidays = processSchoolHolidays(
+        schoolHolidayItems.map((items, i) => ({ items, fields: schoolHolidayFields[i] })),
+        null
+      );
       const processedStates = stateFields ? processStates(stateItems, stateFields) : [];
 
       setPublicHolidays(processedPublicHolidays);
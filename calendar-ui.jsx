@@ -8,7 +8,68 @@ import { DatePicker } from '@mantine/dates';
 import { MantineProvider, createTheme } from '@mantine/core';
 import '@mantine/core/styles.css';
 import '@mantine/dates/styles.css';
-import { isPublicHoliday, isDateInSchoolHoliday } from './date-utils.js';
+import {
+  toPlainDate,
+  formatDate,
+  getDatesInRange,
+  publicHolidayAppliesToState,
+  schoolHolidayAppliesToState,
+  DEFAULT_WORKING_DAYS,
+} from './date-utils.js';
+import { createHolidayIndex } from './holiday-index.js';
+
+/**
+ * Colours for leave ranges: solid for the first and last day, tint for the days between
+ * The first entry matches the date picker's default selection colours
+ */
+export const RANGE_COLORS = [
+  { solid: '#1156F9', tint: '#CDDCFC' },
+  { solid: '#7C3AED', tint: '#E4D8FB' },
+  { solid: '#059669', tint: '#CDEFE3' },
+  { solid: '#DB2777', tint: '#F8D3E4' },
+  { solid: '#0891B2', tint: '#CBEBF3' },
+  { solid: '#B45309', tint: '#F6E3C8' },
+];
+
+// Holiday colours for holidays without a colour of their own
+const PUBLIC_HOLIDAY_COLOR = '#FF7433';
+const SCHOOL_HOLIDAY_COLOR = '#FDE2D4';
+
+/**
+ * Get the colour for a range, kept stable by range ID so colours don't shift when a range is removed
+ * @param {number} rangeId - Range ID
+ * @returns {object} Colour pair with solid and tint
+ */
+function getRangeColor(rangeId) {
+  return RANGE_COLORS[Math.abs(rangeId - 1) % RANGE_COLORS.length];
+}
+
+/**
+ * Describe a public holiday for a day's tooltip, including its observed day
+ * @param {object} holiday - Public holiday object
+ * @param {string} locale - Locale for date formatting
+ * @returns {string} Tooltip line
+ */
+function describePublicHoliday(holiday, locale) {
+  const formatShort = (date) => formatDate(date, locale, { weekday: 'short', day: 'numeric', month: 'short' });
+  const name = describeHoliday(holiday);
+  if (holiday.isObserved) {
+    return `${name} (observed, falls on ${formatShort(holiday.actualDate)})`;
+  }
+  if (holiday.observedDate) {
+    return `${name} (observed ${formatShort(holiday.observedDate)})`;
+  }
+  return name;
+}
+
+/**
+ * Describe a holiday by name and category
+ * @param {object} holiday - Public or school holiday object
+ * @returns {string} e.g. "Christmas Day" or "Mother's Day · Observance"
+ */
+function describeHoliday(holiday) {
+  return holiday.category ? `${holiday.name} · ${holiday.category}` : holiday.name;
+}
 
 /**
  * Calendar UI Component
@@ -16,9 +77,23 @@ import { isPublicHoliday, isDateInSchoolHoliday } from './date-utils.js';
 export function CalendarUI({
   selectedRange,
   onRangeChange,
+  ranges = null,
+  activeRangeId = null,
+  onAddRange,
+  onSelectRange,
+  onRemoveRange,
+  halfDayStart = false,
+  halfDayEnd = false,
+  onHalfDayChange,
   publicHolidays = [],
   schoolHolidays = [],
   selectedStateId = null,
+  schoolStateId,
+  countryId = null,
+  schoolCountryId,
+  holidayIndex = null,
+  onVisibleYearsChange,
+  workingDays = DEFAULT_WORKING_DAYS,
   locale = 'en-US',
   theme,
 }) {
@@ -31,6 +106,14 @@ export function CalendarUI({
     return [null, null];
   });
   
+  // Month shown in the first column - follows ranges applied from outside the picker
+  const [displayedDate, setDisplayedDate] = useState(() => {
+    if (selectedRange && selectedRange[0]) {
+      return selectedRange[0];
+    }
+    return new Date();
+  });
+
   // Update value when selectedRange prop changes
   // Only sync complete ranges from parent to avoid overwriting partial selections
   useEffect(() => {
@@ -39,6 +122,13 @@ export function CalendarUI({
       // Don't overwrite if we have a partial selection in progress (start date only)
       const hasPartialSelection = value && value[0] && !value[1];
       if (!hasPartialSelection) {
+        // A range that didn't come from the picker (e.g. a suggestion) may be in a month that isn't visible
+        const isExternalRange = !value || !value[0] || !value[1] ||
+          value[0].getTime() !== selectedRange[0].getTime() ||
+          value[1].getTime() !== selectedRange[1].getTime();
+        if (isExternalRange) {
+          setDisplayedDate(selectedRange[0]);
+        }
         setValue(selectedRange);
       }
     } else if (!selectedRange) {
@@ -50,6 +140,18 @@ export function CalendarUI({
     }
   }, [selectedRange]);
 
+  // Switching to another range drops any half-finished selection
+  useEffect(() => {
+    if (activeRangeId === null) {
+      return;
+    }
+    const isComplete = selectedRange && selectedRange[0] && selectedRange[1];
+    setValue(isComplete ? selectedRange : [null, null]);
+    if (isComplete) {
+      setDisplayedDate(selectedRange[0]);
+    }
+  }, [activeRangeId]);
+
   // Handle date range change
   const handleChange = (newValue) => {
     // Mantine returns null, [Date, null], or [Date, Date] for range picker
@@ -89,6 +191,20 @@ export function CalendarUI({
     return 3; // Default to 3 for SSR
   });
 
+  // Tell the parent which years the visible months cover, so recurring holidays can be dated for them
+  useEffect(() => {
+    if (!onVisibleYearsChange) {
+      return;
+    }
+    const first = new Date(displayedDate);
+    const last = new Date(first.getFullYear(), first.getMonth() + numberOfColumns - 1, 1);
+    const years = [];
+    for (let year = first.getFullYear(); year <= last.getFullYear(); year++) {
+      years.push(year);
+    }
+    onVisibleYearsChange(years);
+  }, [displayedDate, numberOfColumns, onVisibleYearsChange]);
+
   // Determine DatePicker size based on viewport width
   const [datePickerSize, setDatePickerSize] = useState(() => {
     if (typeof window !== 'undefined') {
@@ -145,52 +261,117 @@ export function CalendarUI({
     return date;
   }, []);
 
+  // Days outside the working week get Mantine's weekend styling
+  const weekendDays = useMemo(() => {
+    return [0, 1, 2, 3, 4, 5, 6].filter(day => !workingDays.includes(day));
+  }, [workingDays]);
+
+  // Per-day holiday lookups - use the parent's index when it has one for the same data
+  const dayIndex = useMemo(() => {
+    return holidayIndex || createHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, {
+      schoolStateId,
+      countryId,
+      schoolCountryId,
+    });
+  }, [holidayIndex, publicHolidays, schoolHolidays, selectedStateId, schoolStateId, countryId, schoolCountryId]);
+
   // Helper function to get school holiday info (start, end, middle)
   const getSchoolHolidayInfo = useMemo(() => {
     return (date) => {
-      for (const holiday of schoolHolidays) {
-        // Filter by state if provided
-        if (selectedStateId && holiday.stateId && holiday.stateId !== selectedStateId) {
-          continue;
-        }
+      const checkDate = toPlainDate(date);
+      const [holiday] = dayIndex.getSchoolHolidays(checkDate);
+      if (!holiday) {
+        return { isSchoolHoliday: false, isStart: false, isEnd: false, isMiddle: false };
+      }
 
-        const start = new Date(holiday.startDate);
-        const end = new Date(holiday.endDate);
-        start.setHours(0, 0, 0, 0);
-        end.setHours(0, 0, 0, 0);
-        const checkDate = new Date(date);
-        checkDate.setHours(0, 0, 0, 0);
+      // Plain dates compare in calendar order, whatever the browser's timezone
+      if (checkDate === holiday.startDate) {
+        return { isSchoolHoliday: true, isStart: true, isEnd: false, isMiddle: false };
+      }
+      if (checkDate === holiday.endDate) {
+        return { isSchoolHoliday: true, isStart: false, isEnd: true, isMiddle: false };
+      }
+      return { isSchoolHoliday: true, isStart: false, isEnd: false, isMiddle: true };
+    };
+  }, [dayIndex]);
 
-        const startTime = start.getTime();
-        const endTime = end.getTime();
-        const checkTime = checkDate.getTime();
+  // Legend for the holidays of the selected states - one entry per category and colour
+  const legendItems = useMemo(() => {
+    const items = new Map();
+    const addItem = (kind, label, color) => {
+      const key = `${kind}|${label}|${color}`;
+      if (!items.has(key)) {
+        items.set(key, { key, kind, label, color });
+      }
+    };
 
-        if (checkTime === startTime) {
-          return { isSchoolHoliday: true, isStart: true, isEnd: false, isMiddle: false };
-        }
-        if (checkTime === endTime) {
-          return { isSchoolHoliday: true, isStart: false, isEnd: true, isMiddle: false };
-        }
-        if (checkTime > startTime && checkTime < endTime) {
-          return { isSchoolHoliday: true, isStart: false, isEnd: false, isMiddle: true };
+    publicHolidays
+      .filter(holiday => publicHolidayAppliesToState(holiday, dayIndex.selectedStateId, dayIndex.countryId))
+      .forEach(holiday => {
+        const color = holiday.color || PUBLIC_HOLIDAY_COLOR;
+        if (holiday.isObserved) {
+          addItem('observed', 'Observed day', color);
+        } else {
+          addItem('public', holiday.category || 'Public holiday', color);
         }
+      });
+    schoolHolidays
+      .filter(holiday => schoolHolidayAppliesToState(holiday, dayIndex.schoolStateId, dayIndex.schoolCountryId))
+      .forEach(holiday => {
+        addItem('school', holiday.category || 'School holidays', holiday.color || SCHOOL_HOLIDAY_COLOR);
+      });
+
+    return [...items.values()];
+  }, [publicHolidays, schoolHolidays, dayIndex]);
+
+  // Days covered by the ranges that aren't being edited, with their colour and position
+  const inactiveRangeDays = useMemo(() => {
+    const days = new Map();
+    (ranges || []).forEach(item => {
+      if (item.id === activeRangeId || !item.range || !item.range[0] || !item.range[1]) {
+        return;
       }
-      return { isSchoolHoliday: false, isStart: false, isEnd: false, isMiddle: false };
-    };
-  }, [schoolHolidays, selectedStateId]);
+      const color = getRangeColor(item.id);
+      const start = toPlainDate(item.range[0]);
+      const end = toPlainDate(item.range[1]);
+      getDatesInRange(start, end).forEach(date => {
+        if (!days.has(date)) {
+          days.set(date, { color, isEdge: date === start || date === end });
+        }
+      });
+    });
+    return days;
+  }, [ranges, activeRangeId]);
 
   // Custom day renderer with holiday highlighting
-  // This is memoized with selectedStateId dependency - should trigger re-render when state changes
+  // Memoized on the holiday index, which is rebuilt when the data or selected state changes
   const renderDay = useMemo(() => {
     return (date) => {
       const dateObj = date instanceof Date ? date : new Date(date);
       const day = dateObj.getDate();
+      const plainDate = toPlainDate(dateObj);
       
       // Check if it's a public holiday
-      const isPubHoliday = isPublicHoliday(dateObj, publicHolidays, selectedStateId);
+      const dayPublicHolidays = dayIndex.getPublicHolidays(plainDate);
+      const isPubHoliday = dayPublicHolidays.length > 0;
+      // Observed (substitute) days are marked differently from the holiday itself
+      const isObservedOnly = isPubHoliday && dayPublicHolidays.every(holiday => holiday.isObserved);
+      const mainPublicHoliday = dayPublicHolidays.find(holiday => !holiday.isObserved) || dayPublicHolidays[0];
+      const publicHolidayColor = (mainPublicHoliday && mainPublicHoliday.color) || PUBLIC_HOLIDAY_COLOR;
       
       // Get school holiday info
-      const schoolHolInfo = getSchoolHolidayInfo(dateObj);
+      const schoolHolInfo = getSchoolHolidayInfo(plainDate);
+      const daySchoolHolidays = dayIndex.getSchoolHolidays(plainDate);
+      const schoolHolidayColor = (daySchoolHolidays[0] && daySchoolHolidays[0].color) || SCHOOL_HOLIDAY_COLOR;
+
+      // Another range covering this day takes the place of the holiday highlight
+      const inactiveRangeDay = inactiveRangeDays.get(plainDate);
+
+      // Tooltip listing the holidays on this day
+      const tooltip = [
+        ...dayPublicHolidays.map(holiday => describePublicHoliday(holiday, locale)),
+        ...daySchoolHolidays.map(describeHoliday),
+      ].join('\n');
 
       // Determine border radius for school holidays
       let borderRadius = '';
@@ -203,36 +384,65 @@ export function CalendarUI({
       }
 
       return (
-        <div style={{ position: 'relative', width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }} className="calendar-day-content">
-          {isPubHoliday && (
+        <div style={{ position: 'relative', width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }} className="calendar-day-content" title={tooltip || undefined}>
+          {inactiveRangeDay && (
+            <div 
+              className="leave-range-highlight" 
+              style={{ 
+                position: 'absolute',
+                inset: 0,
+                backgroundColor: inactiveRangeDay.isEdge ? inactiveRangeDay.color.solid : inactiveRangeDay.color.tint,
+                borderRadius: inactiveRangeDay.isEdge ? '100px' : '0',
+                zIndex: 1
+              }} 
+            />
+          )}
+          {isPubHoliday && !isObservedOnly && !inactiveRangeDay && (
             <div 
               className="holiday-highlight public-holiday" 
               style={{ 
                 position: 'absolute',
                 inset: 0,
-                backgroundColor: '#FF7433',
+                backgroundColor: publicHolidayColor,
                 borderRadius: '100px', // Match start/end date highlight shape
                 zIndex: 1
               }} 
             />
           )}
-          {schoolHolInfo.isSchoolHoliday && !isPubHoliday && (
+          {isObservedOnly && !inactiveRangeDay && (
+            <div 
+              className="holiday-highlight public-holiday observed-holiday" 
+              style={{ 
+                position: 'absolute',
+                inset: 0,
+                backgroundColor: 'transparent',
+                border: `2px dashed ${publicHolidayColor}`,
+                borderRadius: '100px',
+                zIndex: 1
+              }} 
+            />
+          )}
+          {schoolHolInfo.isSchoolHoliday && !isPubHoliday && !inactiveRangeDay && (
             <div 
               className="holiday-highlight school-holiday" 
               style={{ 
                 position: 'absolute',
                 inset: 0,
-                backgroundColor: '#FDE2D4',
+                backgroundColor: schoolHolidayColor,
                 borderRadius: borderRadius,
                 zIndex: 1
               }} 
             />
           )}
-          <span style={{ position: 'relative', zIndex: 2 }} className={`day-number ${isPubHoliday ? 'public-holiday-day' : ''}`}>{day}</span>
+          <span style={{ position: 'relative', zIndex: 2 }} className={`day-number ${isPubHoliday && !isObservedOnly ? 'public-holiday-day' : ''} ${inactiveRangeDay && inactiveRangeDay.isEdge ? 'leave-range-edge-day' : ''}`}>{day}</span>
         </div>
       );
     };
-  }, [publicHolidays, schoolHolidays, selectedStateId, getSchoolHolidayInfo]);
+  }, [dayIndex, getSchoolHolidayInfo, inactiveRangeDays, locale]);
+
+  // The range being edited uses its own colour for the picker's selection styles
+  const activeColor = getRangeColor(activeRangeId || 1);
+  const formatShortDate = (date) => formatDate(date, locale, { day: 'numeric', month: 'short' });
 
   // Test if Mantine components are available
   if (typeof MantineProvider === 'undefined' || typeof DatePicker === 'undefined') {
@@ -246,19 +456,77 @@ export function CalendarUI({
   try {
     return (
       <MantineProvider theme={mantineTheme}>
-        <div className="calendar-container">
+        <div className="calendar-container" style={{ '--range-color': activeColor.solid, '--range-tint': activeColor.tint }}>
+          {ranges && (
+            <div className="leave-ranges">
+              {ranges.map((item, position) => {
+                const color = getRangeColor(item.id);
+                const isActive = item.id === activeRangeId;
+                return (
+                  <div key={item.id} className={`leave-range-chip ${isActive ? 'active' : ''}`} style={{ borderColor: isActive ? color.solid : undefined }}>
+                    <button type="button" className="leave-range-select" onClick={() => onSelectRange && onSelectRange(item.id)}>
+                      <span className="leave-range-swatch" style={{ backgroundColor: color.solid }} />
+                      <span className="leave-range-label">
+                        {item.range && item.range[0] && item.range[1]
+                          ? `${formatShortDate(item.range[0])} – ${formatShortDate(item.range[1])}`
+                          : `Range ${position + 1}`}
+                      </span>
+                      {item.metrics && (
+                        <span className="leave-range-summary">
+                          {item.metrics.leaveDaysUsed} leave · {item.metrics.totalDaysOff} off
+                        </span>
+                      )}
+                    </button>
+                    {onRemoveRange && (ranges.length > 1 || item.range) && (
+                      <button type="button" className="leave-range-remove" aria-label="Remove range" onClick={() => onRemoveRange(item.id)}>
+                        ×
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+              {onAddRange && (
+                <button type="button" className="leave-range-add" onClick={onAddRange}>
+                  + Add range
+                </button>
+              )}
+            </div>
+          )}
+          {onHalfDayChange && value && value[0] && value[1] && (
+            <div className="half-day-controls">
+              <label className="half-day-toggle">
+                <input
+                  type="checkbox"
+                  checked={halfDayStart}
+                  onChange={(e) => onHalfDayChange('halfDayStart', e.target.checked)}
+                />
+                <span>Half day on {formatShortDate(value[0])}</span>
+              </label>
+              <label className="half-day-toggle">
+                <input
+                  type="checkbox"
+                  checked={halfDayEnd}
+                  onChange={(e) => onHalfDayChange('halfDayEnd', e.target.checked)}
+                />
+                <span>Half day on {formatShortDate(value[1])}</span>
+              </label>
+            </div>
+          )}
           {isHydrated ? (
             <DatePicker
               key={`hydrated-${publicHolidays.length}-${schoolHolidays.length}-${numberOfColumns}`}
               type="range"
               value={value}
               onChange={handleChange}
+              date={displayedDate}
+              onDateChange={setDisplayedDate}
               locale={locale}
               className="calendar-date-picker"
               size={datePickerSize}
               numberOfColumns={numberOfColumns}
               columnsToScroll={1}
               renderDay={renderDay}
+              weekendDays={weekendDays}
               minDate={today}
               hideOutsideDates={true}
               ref={datePickerRef}
@@ -269,16 +537,32 @@ export function CalendarUI({
               type="range"
               value={value}
               onChange={handleChange}
+              date={displayedDate}
+              onDateChange={setDisplayedDate}
               locale={locale}
               className="calendar-date-picker"
               size="md"
               numberOfColumns={3}
               columnsToScroll={1}
               renderDay={renderDay}
+              weekendDays={weekendDays}
               minDate={today}
               hideOutsideDates={true}
             />
           )}
+          {legendItems.length > 0 && (
+            <div className="calendar-legend">
+              {legendItems.map(item => (
+                <span key={item.key} className="calendar-legend-item">
+                  <span
+                    className={`calendar-legend-swatch ${item.kind}`}
+                    style={item.kind === 'observed' ? { borderColor: item.color } : { backgroundColor: item.color }}
+                  />
+                  {item.label}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       </MantineProvider>
     );
@@ -3,47 +3,91 @@
  * Dynamically identifies collections and their field structures
  */
 
+import { DEFAULT_PATTERNS, matchesWords } from './detection-patterns.js';
+
+// Collection roles in the order names are checked
+const COLLECTION_ROLES = ['publicHolidays', 'schoolHolidays', 'states', 'countries'];
+
+// Roles whose collections are merged when several match (states and countries are referenced by a single collection)
+export const MULTI_COLLECTION_ROLES = ['publicHolidays', 'schoolHolidays'];
+
+// Field types that tag holidays with state names or abbreviations instead of referencing a States collection
+export const STATE_TAG_FIELD_TYPES = ['Option', 'PlainText'];
+
 /**
- * Normalize collection name for matching
- * @param {string} name - Collection name
- * @returns {string} Normalized name (lowercase, trimmed)
+ * Roles that can be pinned in a collection mapping, with the field roles of each and
+ * the Webflow field types a field for that role may have
  */
-function normalizeCollectionName(name) {
-  return name.toLowerCase().trim();
-}
+export const MAPPING_ROLES = {
+  publicHolidays: {
+    label: 'Public holidays',
+    fields: {
+      date: ['DateTime'],
+      observedDate: ['DateTime'],
+      recurring: ['Switch'],
+      rule: ['PlainText'],
+      name: ['PlainText'],
+      state: ['Reference', 'MultiReference', ...STATE_TAG_FIELD_TYPES],
+      country: ['Reference', 'MultiReference'],
+      category: ['Option', 'PlainText'],
+      color: ['Color'],
+    },
+  },
+  schoolHolidays: {
+    label: 'School holidays',
+    fields: {
+      startDate: ['DateTime'],
+      endDate: ['DateTime'],
+      name: ['PlainText'],
+      state: ['Reference', 'MultiReference', ...STATE_TAG_FIELD_TYPES],
+      country: ['Reference', 'MultiReference'],
+      category: ['Option', 'PlainText'],
+      color: ['Color'],
+    },
+  },
+  states: {
+    label: 'States',
+    fields: {
+      name: ['PlainText'],
+      slug: ['PlainText'],
+      abbreviation: ['PlainText'],
+      country: ['Reference'],
+    },
+  },
+  countries: {
+    label: 'Countries',
+    fields: {
+      name: ['PlainText'],
+      slug: ['PlainText'],
+      abbreviation: ['PlainText'],
+    },
+  },
+};
 
 /**
  * Check if collection name matches pattern
+ * Patterns match whole words, ignoring case and accents, so "Interstate Travel"
+ * doesn't match "state" and "Jours feries" matches "jours fériés"
  * @param {string} name - Collection name
  * @param {string[]} patterns - Array of patterns to match
  * @returns {boolean} True if matches
  */
 function matchesPattern(name, patterns) {
-  const normalized = normalizeCollectionName(name);
-  return patterns.some(pattern => normalized.includes(pattern.toLowerCase()));
+  return matchesWords(name, patterns);
 }
 
 /**
  * Detect collection type by name
  * @param {object} collection - Collection object with displayName
- * @returns {string|null} Collection type: 'publicHolidays', 'schoolHolidays', 'states', or null
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @returns {string|null} Collection type: 'publicHolidays', 'schoolHolidays', 'states', 'countries', or null
  */
-export function detectCollectionType(collection) {
+export function detectCollectionType(collection, patterns = DEFAULT_PATTERNS) {
   const name = collection.displayName || collection.name || '';
 
-  if (matchesPattern(name, ['public holiday', 'public holidays'])) {
-    return 'publicHolidays';
-  }
-
-  if (matchesPattern(name, ['school holiday', 'school holidays'])) {
-    return 'schoolHolidays';
-  }
-
-  if (matchesPattern(name, ['state', 'states'])) {
-    return 'states';
-  }
-
-  return null;
+  return COLLECTION_ROLES.find(type => (
+    matchesPattern(name, patterns.collections[type] || [])
+  )) || null;
 }
 
 /**
@@ -58,129 +102,459 @@ function findFieldByType(fields, type) {
 
 /**
  * Find field by slug pattern
+ * Patterns match whole words of the slug, ignoring case and accents, so "end" matches
+ * "term-end" but not "calendar"
  * @param {Array} fields - Array of field objects
  * @param {string[]} patterns - Array of slug patterns to match
  * @returns {object|null} First matching field or null
  */
 function findFieldBySlug(fields, patterns) {
-  return fields.find(field => {
-    const slug = (field.slug || '').toLowerCase();
-    return patterns.some(pattern => slug.includes(pattern.toLowerCase()));
-  }) || null;
+  return fields.find(field => matchesWords(field.slug, patterns)) || null;
 }
 
 /**
- * Find state reference field (Reference or MultiReference pointing to States collection)
+ * Find the field pinned to a role in the field mapping
  * @param {Array} fields - Array of field objects
- * @param {string} statesCollectionId - States collection ID
- * @returns {object|null} State reference field or null
+ * @param {object} fieldMapping - Field slugs by field role
+ * @param {string} collectionRole - Collection role, a key of MAPPING_ROLES
+ * @param {string} fieldRole - Field role, e.g. 'startDate'
+ * @returns {object|null} Pinned field, or null if the role isn't pinned
+ * @throws {Error} If the pinned slug isn't in the schema or has the wrong type
  */
-function findStateReferenceField(fields, statesCollectionId) {
+function findMappedField(fields, fieldMapping, collectionRole, fieldRole) {
+  const slug = fieldMapping[fieldRole];
+  if (!slug) {
+    return null;
+  }
+
+  const { label, fields: fieldTypes } = MAPPING_ROLES[collectionRole];
+  const field = fields.find(item => item.slug === slug);
+  if (!field) {
+    throw new Error(`${label} field "${slug}" (mapped as ${fieldRole}) was not found in the collection.`);
+  }
+  if (!fieldTypes[fieldRole].includes(field.type)) {
+    throw new Error(
+      `${label} field "${slug}" (mapped as ${fieldRole}) is a ${field.type} field, expected ${fieldTypes[fieldRole].join(' or ')}.`
+    );
+  }
+  return field;
+}
+
+/**
+ * Find reference field (Reference or MultiReference pointing to a collection, e.g. States)
+ * @param {Array} fields - Array of field objects
+ * @param {string|null} collectionId - Referenced collection ID
+ * @returns {object|null} Reference field or null
+ */
+function findReferenceField(fields, collectionId) {
+  if (!collectionId) {
+    return null;
+  }
   return fields.find(field => {
     if (field.type !== 'Reference' && field.type !== 'MultiReference') {
       return false;
     }
     const validation = field.validations || {};
-    return validation.collectionId === statesCollectionId;
+    return validation.collectionId === collectionId;
   }) || null;
 }
 
+/**
+ * Find a field that tags holidays with states by name or abbreviation
+ * An Option field is preferred over a comma-separated PlainText field
+ * @param {Array} fields - Array of field objects
+ * @param {string[]} statePatterns - Slug patterns for state fields
+ * @returns {object|null} State tag field or null
+ */
+function findStateTagField(fields, statePatterns) {
+  const tagFields = fields.filter(field => STATE_TAG_FIELD_TYPES.includes(field.type));
+  return findFieldBySlug(tagFields.filter(field => field.type === 'Option'), statePatterns)
+    || findFieldBySlug(tagFields, statePatterns);
+}
+
+/**
+ * Find the field assigning holidays to states
+ * A reference to the States collection is used when there is one; without a States
+ * collection, an Option or PlainText field named for states is used instead
+ * @param {Array} fields - Array of field objects
+ * @param {string|null} statesCollectionId - States collection ID
+ * @param {string[]} statePatterns - Slug patterns for state fields
+ * @returns {object|null} State field or null
+ */
+function findStateField(fields, statesCollectionId, statePatterns) {
+  if (statesCollectionId) {
+    return findReferenceField(fields, statesCollectionId);
+  }
+  return findStateTagField(fields, statePatterns);
+}
+
+/**
+ * Find the optional category and colour fields of a holiday collection
+ * The category is an Option field (preferred) or PlainText field named for categories,
+ * and the colour a Color field, preferably one named for colours
+ * @param {Array} fields - Array of field objects, without fields already used for other roles
+ * @param {Function} mapped - Returns the field pinned to a field role, or null
+ * @param {object} slugPatterns - Slug patterns by field role
+ * @returns {object} { categoryField, colorField }
+ */
+function findCategoryFields(fields, mapped, slugPatterns) {
+  const categoryField = mapped('category')
+    || findFieldBySlug(fields.filter(field => field.type === 'Option'), slugPatterns.category)
+    || findFieldBySlug(fields.filter(field => field.type === 'PlainText'), slugPatterns.category);
+  const colorFields = fields.filter(field => field.type === 'Color');
+  const colorField = mapped('color') || findFieldBySlug(colorFields, slugPatterns.color) || colorFields[0] || null;
+  return { categoryField, colorField };
+}
+
 /**
  * Discover fields for public holidays collection
+ * Fields pinned in the field mapping are used as they are; the rest are guessed
  * @param {object} collectionSchema - Collection schema from API
  * @param {string} statesCollectionId - States collection ID (if exists)
+ * @param {object} fieldMapping - Optional field slugs by role: date, observedDate, recurring, rule, name, state, country, category, color
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @param {string} countriesCollectionId - Countries collection ID (if exists)
  * @returns {object} Discovered field structure
+ * @throws {Error} If a pinned field isn't in the schema or has the wrong type
  */
-export function discoverPublicHolidayFields(collectionSchema, statesCollectionId = null) {
+export function discoverPublicHolidayFields(collectionSchema, statesCollectionId = null, fieldMapping = {}, patterns = DEFAULT_PATTERNS, countriesCollectionId = null) {
   const fields = collectionSchema.fields || [];
+  const slugPatterns = patterns.fields;
+  const mapped = fieldRole => findMappedField(fields, fieldMapping, 'publicHolidays', fieldRole);
+
+  const pinnedDateField = mapped('date');
+
+  // Optional DateTime field holding the observed (substitute) day, e.g. "observed-date"
+  const observedDateField = mapped('observedDate') || findFieldBySlug(
+    fields.filter(field => field.type === 'DateTime' && field !== pinnedDateField),
+    slugPatterns.observedDate
+  );
+  const dateFields = fields.filter(field => field !== observedDateField);
+
+  // Optional Switch marking holidays that recur on the same date every year, and
+  // PlainText rule such as "second Monday of June" or "Easter Monday"
+  const recurringField = mapped('recurring') || findFieldBySlug(
+    fields.filter(field => field.type === 'Switch'),
+    slugPatterns.recurring
+  );
+  const ruleField = mapped('rule') || findFieldBySlug(
+    fields.filter(field => field.type === 'PlainText'),
+    slugPatterns.rule
+  );
+
+  // The state, rule and category fields are found first so they aren't taken for the name
+  const stateField = mapped('state') || findStateField(fields, statesCollectionId, slugPatterns.state);
+  const { categoryField, colorField } = findCategoryFields(
+    fields.filter(field => field !== stateField && field !== ruleField),
+    mapped,
+    slugPatterns
+  );
+  const nameFields = fields.filter(field => field !== stateField && field !== ruleField && field !== categoryField);
   
   return {
-    dateField: findFieldByType(fields, 'DateTime') || findFieldBySlug(fields, ['date']),
-    nameField: findFieldBySlug(fields, ['name']) || findFieldByType(fields, 'PlainText'),
-    stateField: statesCollectionId ? findStateReferenceField(fields, statesCollectionId) : null,
+    dateField: pinnedDateField || findFieldByType(dateFields, 'DateTime') || findFieldBySlug(dateFields, slugPatterns.date),
+    observedDateField,
+    recurringField,
+    ruleField,
+    nameField: mapped('name') || findFieldBySlug(nameFields, slugPatterns.name) || findFieldByType(nameFields, 'PlainText'),
+    stateField,
+    countryField: mapped('country') || findReferenceField(fields, countriesCollectionId),
+    categoryField,
+    colorField,
   };
 }
 
 /**
  * Discover fields for school holidays collection
+ * Fields pinned in the field mapping are used as they are; the rest are guessed.
+ * The start and end are always different DateTime fields.
  * @param {object} collectionSchema - Collection schema from API
  * @param {string} statesCollectionId - States collection ID (if exists)
+ * @param {object} fieldMapping - Optional field slugs by role: startDate, endDate, name, state, country, category, color
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @param {string} countriesCollectionId - Countries collection ID (if exists)
  * @returns {object} Discovered field structure
+ * @throws {Error} If a pinned field isn't in the schema or has the wrong type
  */
-export function discoverSchoolHolidayFields(collectionSchema, statesCollectionId = null) {
+export function discoverSchoolHolidayFields(collectionSchema, statesCollectionId = null, fieldMapping = {}, patterns = DEFAULT_PATTERNS, countriesCollectionId = null) {
   const fields = collectionSchema.fields || [];
+  const slugPatterns = patterns.fields;
+  const mapped = fieldRole => findMappedField(fields, fieldMapping, 'schoolHolidays', fieldRole);
+  const dateFields = fields.filter(field => field.type === 'DateTime');
+
+  const pinnedStartDateField = mapped('startDate');
+  const pinnedEndDateField = mapped('endDate');
+  if (pinnedStartDateField && pinnedStartDateField === pinnedEndDateField) {
+    throw new Error(`School holidays field "${pinnedStartDateField.slug}" is mapped as both startDate and endDate.`);
+  }
+
+  // Guess the start from the fields the end isn't pinned to, then the end from what's left
+  const startDateField = pinnedStartDateField || (() => {
+    const candidates = dateFields.filter(field => field !== pinnedEndDateField);
+    return findFieldBySlug(candidates, slugPatterns.startDate) || candidates[0] || null;
+  })();
+  const endDateField = pinnedEndDateField || (() => {
+    const candidates = dateFields.filter(field => field !== startDateField);
+    return findFieldBySlug(candidates, slugPatterns.endDate) || candidates[0] || null;
+  })();
+
+  // The state and category fields are found first so a PlainText tag isn't taken for the name
+  const stateField = mapped('state') || findStateField(fields, statesCollectionId, slugPatterns.state);
+  const { categoryField, colorField } = findCategoryFields(
+    fields.filter(field => field !== stateField),
+    mapped,
+    slugPatterns
+  );
+  const nameFields = fields.filter(field => field !== stateField && field !== categoryField);
   
   return {
-    startDateField: findFieldBySlug(fields, ['start-date', 'startdate', 'start']) || 
-                   findFieldByType(fields, 'DateTime'),
-    endDateField: findFieldBySlug(fields, ['end-date', 'enddate', 'end']) || 
-                 findFieldByType(fields, 'DateTime'),
-    nameField: findFieldBySlug(fields, ['name']) || findFieldByType(fields, 'PlainText'),
-    stateField: statesCollectionId ? findStateReferenceField(fields, statesCollectionId) : null,
+    startDateField,
+    endDateField,
+    nameField: mapped('name') || findFieldBySlug(nameFields, slugPatterns.name) || findFieldByType(nameFields, 'PlainText'),
+    stateField,
+    countryField: mapped('country') || findReferenceField(fields, countriesCollectionId),
+    categoryField,
+    colorField,
   };
 }
 
 /**
- * Discover fields for states collection
- * @param {object} collectionSchema - Collection schema from API
- * @returns {object} Discovered field structure
+ * Discover the name, slug and abbreviation fields of a states or countries collection
+ * @param {string} collectionRole - 'states' or 'countries'
+ * @param {Array} fields - Array of field objects
+ * @param {object} fieldMapping - Field slugs by field role
+ * @param {object} patterns - Detection patterns
+ * @returns {object} { nameField, slugField, abbreviationField }
+ * @throws {Error} If a pinned field isn't in the schema or has the wrong type
  */
-export function discoverStateFields(collectionSchema) {
-  const fields = collectionSchema.fields || [];
+function discoverPlaceFields(collectionRole, fields, fieldMapping, patterns) {
+  const slugPatterns = patterns.fields;
+  const mapped = fieldRole => findMappedField(fields, fieldMapping, collectionRole, fieldRole);
   
   // Find name field - prefer 'name', fallback to first PlainText field
-  const nameField = findFieldBySlug(fields, ['name']) || findFieldByType(fields, 'PlainText');
+  const nameField = mapped('name') || findFieldBySlug(fields, slugPatterns.name) || findFieldByType(fields, 'PlainText');
   
   // Find abbreviation field - check for 'abbreviation' first, then 'title' as fallback
   // This handles cases where the abbreviation field might be named 'title' in Webflow
-  const abbreviationField = findFieldBySlug(fields, ['abbreviation']) || findFieldBySlug(fields, ['title']);
+  const abbreviationField = mapped('abbreviation') ||
+    findFieldBySlug(fields, slugPatterns.abbreviation) || findFieldBySlug(fields, slugPatterns.title);
   
   return {
     nameField,
-    slugField: findFieldBySlug(fields, ['slug']) || null,
+    slugField: mapped('slug') || findFieldBySlug(fields, slugPatterns.slug) || null,
     abbreviationField,
   };
 }
 
+/**
+ * Discover fields for states collection
+ * Fields pinned in the field mapping are used as they are; the rest are guessed
+ * @param {object} collectionSchema - Collection schema from API
+ * @param {object} fieldMapping - Optional field slugs by role: name, slug, abbreviation, country
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @param {string} countriesCollectionId - Countries collection ID (if exists), for the parent country reference
+ * @returns {object} Discovered field structure
+ * @throws {Error} If a pinned field isn't in the schema or has the wrong type
+ */
+export function discoverStateFields(collectionSchema, fieldMapping = {}, patterns = DEFAULT_PATTERNS, countriesCollectionId = null) {
+  const fields = collectionSchema.fields || [];
+  const countryField = findMappedField(fields, fieldMapping, 'states', 'country')
+    || findReferenceField(fields.filter(field => field.type === 'Reference'), countriesCollectionId);
+
+  return {
+    ...discoverPlaceFields('states', fields, fieldMapping, patterns),
+    countryField,
+  };
+}
+
+/**
+ * Discover fields for countries collection
+ * Fields pinned in the field mapping are used as they are; the rest are guessed
+ * @param {object} collectionSchema - Collection schema from API
+ * @param {object} fieldMapping - Optional field slugs by role: name, slug, abbreviation
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @returns {object} Discovered field structure
+ * @throws {Error} If a pinned field isn't in the schema or has the wrong type
+ */
+export function discoverCountryFields(collectionSchema, fieldMapping = {}, patterns = DEFAULT_PATTERNS) {
+  return discoverPlaceFields('countries', collectionSchema.fields || [], fieldMapping, patterns);
+}
+
+/**
+ * Check if a value is a plain object (not null, an array or a primitive)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a collection mapping from component props
+ * @param {object} config - Mapping config
+ * @param {string} config.publicHolidaysCollectionId - Pinned public holidays collection IDs, comma-separated
+ * @param {string} config.schoolHolidaysCollectionId - Pinned school holidays collection IDs, comma-separated
+ * @param {string} config.statesCollectionId - Pinned states collection ID
+ * @param {string} config.countriesCollectionId - Pinned countries collection ID
+ * @param {string|object} config.fieldMapping - Field slugs by collection role and field role,
+ *   as an object or JSON, e.g. {"schoolHolidays": {"startDate": "term-start", "endDate": "term-end"}}.
+ *   Pinned slugs apply to every collection of the role.
+ * @returns {object} Mapping with { collectionIds, fields } for each collection role
+ * @throws {Error} If the field mapping isn't a JSON object, names an unknown role or pins several states or countries collections
+ */
+export function parseCollectionMapping(config = {}) {
+  const {
+    publicHolidaysCollectionId = '',
+    schoolHolidaysCollectionId = '',
+    statesCollectionId = '',
+    countriesCollectionId = '',
+    fieldMapping = null,
+  } = config;
+
+  let fieldsByRole = fieldMapping || {};
+  if (typeof fieldsByRole === 'string') {
+    try {
+      fieldsByRole = fieldsByRole.trim() ? JSON.parse(fieldsByRole) : {};
+    } catch (err) {
+      throw new Error(`Field mapping is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!isPlainObject(fieldsByRole)) {
+    throw new Error('Field mapping must be a JSON object, e.g. {"schoolHolidays": {"startDate": "term-start"}}.');
+  }
+
+  // Catch typos early rather than silently falling back to guessing
+  Object.keys(fieldsByRole).forEach(collectionRole => {
+    if (!MAPPING_ROLES[collectionRole]) {
+      throw new Error(`Unknown collection "${collectionRole}" in field mapping. Use ${Object.keys(MAPPING_ROLES).join(', ')}.`);
+    }
+    const roleFields = fieldsByRole[collectionRole];
+    if (roleFields !== null && roleFields !== undefined && !isPlainObject(roleFields)) {
+      throw new Error(`Field mapping for ${collectionRole} must be a JSON object of field slugs.`);
+    }
+    const knownFields = Object.keys(MAPPING_ROLES[collectionRole].fields);
+    Object.keys(roleFields || {}).forEach(fieldRole => {
+      if (!knownFields.includes(fieldRole)) {
+        throw new Error(`Unknown field "${fieldRole}" for ${collectionRole} in field mapping. Use ${knownFields.join(', ')}.`);
+      }
+    });
+  });
+
+  const collectionIds = {
+    publicHolidays: publicHolidaysCollectionId,
+    schoolHolidays: schoolHolidaysCollectionId,
+    states: statesCollectionId,
+    countries: countriesCollectionId,
+  };
+
+  const mapping = {};
+  Object.keys(MAPPING_ROLES).forEach(collectionRole => {
+    const ids = (collectionIds[collectionRole] || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length > 1 && !MULTI_COLLECTION_ROLES.includes(collectionRole)) {
+      throw new Error(`Only one ${MAPPING_ROLES[collectionRole].label} collection can be set.`);
+    }
+    mapping[collectionRole] = {
+      collectionIds: ids,
+      fields: fieldsByRole[collectionRole] || {},
+    };
+  });
+  return mapping;
+}
+
 /**
  * Detect and organize collections
+ * Collections pinned in the mapping are used as they are; the rest are detected by name.
+ * Every matching collection is kept for public and school holidays (e.g. "National Public
+ * Holidays" and "Regional Public Holidays"); states and countries use the first match.
  * @param {Array} collections - Array of all collections from API
- * @returns {object} Organized collections by type
+ * @param {object} mapping - Optional mapping from parseCollectionMapping()
+ * @param {object} patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @returns {object} { publicHolidays: Array, schoolHolidays: Array, states: object|null, countries: object|null }
+ * @throws {Error} If a pinned collection isn't on the site
  */
-export function detectCollections(collections) {
-  const result = {
-    publicHolidays: null,
-    schoolHolidays: null,
-    states: null,
+export function detectCollections(collections, mapping = {}, patterns = DEFAULT_PATTERNS) {
+  const found = {
+    publicHolidays: [],
+    schoolHolidays: [],
+    states: [],
+    countries: [],
   };
+  const isPinned = role => !!(mapping[role] && mapping[role].collectionIds && mapping[role].collectionIds.length);
+
+  // Step 1: Use pinned collections
+  const pinnedIds = [];
+  COLLECTION_ROLES.filter(isPinned).forEach(role => {
+    mapping[role].collectionIds.forEach(collectionId => {
+      const collection = collections.find(item => item.id === collectionId);
+      if (!collection) {
+        throw new Error(`${MAPPING_ROLES[role].label} collection "${collectionId}" was not found on this site.`);
+      }
+      found[role].push(collection);
+      pinnedIds.push(collectionId);
+    });
+  });
 
+  // Step 2: Detect the remaining roles by name, skipping pinned collections
   for (const collection of collections) {
-    const type = detectCollectionType(collection);
-    if (type) {
-      result[type] = collection;
+    if (pinnedIds.includes(collection.id)) {
+      continue;
+    }
+    const type = detectCollectionType(collection, patterns);
+    if (type && !isPinned(type)) {
+      found[type].push(collection);
     }
   }
 
-  return result;
+  return {
+    publicHolidays: found.publicHolidays,
+    schoolHolidays: found.schoolHolidays,
+    states: found.states[0] || null,
+    countries: found.countries[0] || null,
+  };
+}
+
+/**
+ * Check if a discovered state field tags states by value rather than referencing them
+ * @param {object|null} stateField - Discovered state field
+ * @returns {boolean} True for Option and PlainText state fields
+ */
+export function isStateTagField(stateField) {
+  return !!stateField && STATE_TAG_FIELD_TYPES.includes(stateField.type);
 }
 
 /**
  * Check if state filtering should be enabled
+ * State references need a States collection; state tags (Option or PlainText) don't
  * @param {object} detectedCollections - Result from detectCollections()
- * @param {object} publicHolidayFields - Discovered public holiday fields
- * @param {object} schoolHolidayFields - Discovered school holiday fields
+ * @param {object|Array} publicHolidayFields - Discovered public holiday fields (an array with one per collection)
+ * @param {object|Array} schoolHolidayFields - Discovered school holiday fields (an array with one per collection)
  * @returns {boolean} True if state filtering should be enabled
  */
 export function shouldEnableStateFiltering(detectedCollections, publicHolidayFields, schoolHolidayFields) {
-  if (!detectedCollections.states) {
-    return false;
-  }
-
-  const hasPublicHolidayStateRef = publicHolidayFields.stateField !== null;
-  const hasSchoolHolidayStateRef = schoolHolidayFields.stateField !== null;
+  const hasStateRef = fields => [].concat(fields || []).some(item => (
+    item && item.stateField && (detectedCollections.states || isStateTagField(item.stateField))
+  ));
+  const hasPublicHolidayStateRef = hasStateRef(publicHolidayFields);
+  const hasSchoolHolidayStateRef = hasStateRef(schoolHolidayFields);
 
   return hasPublicHolidayStateRef || hasSchoolHolidayStateRef;
 }
 
+/**
+ * Check if country filtering should be enabled
+ * Countries are only offered when something references them: holidays for a whole
+ * country, or states that belong to a country
+ * @param {object} detectedCollections - Result from detectCollections()
+ * @param {Array} publicHolidayFields - Discovered public holiday fields, one per collection
+ * @param {Array} schoolHolidayFields - Discovered school holiday fields, one per collection
+ * @param {object|null} stateFields - Discovered state fields
+ * @returns {boolean} True if country filtering should be enabled
+ */
+export function shouldEnableCountryFiltering(detectedCollections, publicHolidayFields, schoolHolidayFields, stateFields) {
+  if (!detectedCollections.countries) {
+    return false;
+  }
 
-
+  const hasCountryRef = fields => [].concat(fields || []).some(item => item && item.countryField);
+  return hasCountryRef(publicHolidayFields) || hasCountryRef(schoolHolidayFields) || hasCountryRef(stateFields);
+}
@@ -0,0 +1,279 @@
+/**
+ * Collection diagnostics
+ * Explains what collection detection and field discovery found, how sure it is,
+ * and what is missing, so site admins can fix their CMS structure
+ */
+
+import { DEFAULT_PATTERNS, normalizeText, matchesWords } from './detection-patterns.js';
+import {
+  MAPPING_ROLES,
+  detectCollections,
+  detectCollectionType,
+  discoverPublicHolidayFields,
+  discoverSchoolHolidayFields,
+  discoverStateFields,
+  discoverCountryFields,
+} from './collection-detector.js';
+
+/**
+ * Confidence levels, from most to least certain
+ * - pinned: set in the collection mapping
+ * - high: name or slug clearly matches the role
+ * - medium: picked by type or a partial name match
+ * - low: picked by slug but has an unexpected type
+ * - missing: nothing found
+ */
+export const CONFIDENCE_LEVELS = ['pinned', 'high', 'medium', 'low', 'missing'];
+
+// Collection roles the calendar can't work without
+const REQUIRED_COLLECTIONS = ['publicHolidays'];
+
+// Field roles a detected collection can't work without
+const REQUIRED_FIELDS = {
+  publicHolidays: ['date'],
+  schoolHolidays: ['startDate', 'endDate'],
+  states: ['name'],
+  countries: ['name'],
+};
+
+// discover*Fields result key for each field role
+const FIELD_RESULT_KEYS = {
+  date: 'dateField',
+  observedDate: 'observedDateField',
+  recurring: 'recurringField',
+  rule: 'ruleField',
+  name: 'nameField',
+  state: 'stateField',
+  country: 'countryField',
+  category: 'categoryField',
+  color: 'colorField',
+  startDate: 'startDateField',
+  endDate: 'endDateField',
+  slug: 'slugField',
+  abbreviation: 'abbreviationField',
+};
+
+/**
+ * Get the display name of a collection
+ * @param {object} collection - Collection object
+ * @returns {string} Display name
+ */
+function getCollectionName(collection) {
+  return collection.displayName || collection.name || collection.slug || collection.id;
+}
+
+/**
+ * Rate how well a detected collection matches its role
+ * @param {object} collection - Collection object
+ * @param {string} role - Collection role
+ * @param {object} mapping - Collection mapping
+ * @param {object} patterns - Detection patterns
+ * @returns {string} Confidence level
+ */
+function rateCollection(collection, role, mapping, patterns) {
+  if (mapping[role] && mapping[role].collectionIds.includes(collection.id)) {
+    return 'pinned';
+  }
+  const name = normalizeText(getCollectionName(collection));
+  return (patterns.collections[role] || []).some(pattern => normalizeText(pattern) === name) ? 'high' : 'medium';
+}
+
+/**
+ * Rate how well a discovered field matches its role
+ * @param {object|null} field - Discovered field
+ * @param {string} role - Collection role
+ * @param {string} fieldRole - Field role
+ * @param {object} fieldMapping - Field slugs by field role
+ * @param {object} referencedIds - Referenced collection IDs by field role ({ state, country })
+ * @param {object} patterns - Detection patterns
+ * @returns {string} Confidence level
+ */
+function rateField(field, role, fieldRole, fieldMapping, referencedIds, patterns) {
+  if (!field) {
+    return 'missing';
+  }
+  if (fieldMapping[fieldRole] === field.slug) {
+    return 'pinned';
+  }
+  if (!MAPPING_ROLES[role].fields[fieldRole].includes(field.type)) {
+    return 'low';
+  }
+  if ((fieldRole === 'state' || fieldRole === 'country') && field.type.endsWith('Reference')) {
+    const validation = field.validations || {};
+    return validation.collectionId === referencedIds[fieldRole] ? 'high' : 'medium';
+  }
+  // A slug with a word for the role shows it was chosen for the role rather than only its type
+  const hints = fieldRole === 'abbreviation'
+    ? [...(patterns.fields.abbreviation || []), ...(patterns.fields.title || [])]
+    : patterns.fields[fieldRole] || [];
+  return matchesWords(field.slug, hints) ? 'high' : 'medium';
+}
+
+/**
+ * Discover the fields of a collection role and rate each one
+ * @param {string} role - Collection role
+ * @param {object} schema - Collection schema
+ * @param {object} fieldMapping - Field slugs by field role
+ * @param {object} referencedIds - States and countries collection IDs ({ state, country })
+ * @param {object} patterns - Detection patterns
+ * @returns {object} { fields, error }
+ */
+function diagnoseFields(role, schema, fieldMapping, referencedIds, patterns) {
+  let discovered;
+  try {
+    if (role === 'publicHolidays') {
+      discovered = discoverPublicHolidayFields(schema, referencedIds.state, fieldMapping, patterns, referencedIds.country);
+    } else if (role === 'schoolHolidays') {
+      discovered = discoverSchoolHolidayFields(schema, referencedIds.state, fieldMapping, patterns, referencedIds.country);
+    } else if (role === 'states') {
+      discovered = discoverStateFields(schema, fieldMapping, patterns, referencedIds.country);
+    } else {
+      discovered = discoverCountryFields(schema, fieldMapping, patterns);
+    }
+  } catch (err) {
+    return { fields: [], error: err.message };
+  }
+
+  const fields = Object.keys(MAPPING_ROLES[role].fields).map(fieldRole => {
+    const field = discovered[FIELD_RESULT_KEYS[fieldRole]] || null;
+    return {
+      role: fieldRole,
+      slug: field ? field.slug : null,
+      type: field ? field.type : null,
+      expectedTypes: MAPPING_ROLES[role].fields[fieldRole],
+      confidence: rateField(field, role, fieldRole, fieldMapping, referencedIds, patterns),
+      // Holidays with a rule don't need a date
+      required: REQUIRED_FIELDS[role].includes(fieldRole) && !(fieldRole === 'date' && discovered.ruleField),
+    };
+  });
+  return { fields, error: null };
+}
+
+/**
+ * Build a diagnostics report for collection detection and field discovery
+ * Works with whatever was loaded before a failure: without collections only the
+ * error is reported, and fields are only checked for collections with a schema
+ * @param {object} input - What was loaded
+ * @param {Array|null} input.collections - All collections from the API
+ * @param {object} input.schemas - Collection schemas by collection ID
+ * @param {object} input.mapping - Collection mapping from parseCollectionMapping()
+ * @param {object} input.patterns - Detection patterns from getDetectionPatterns() (default: English)
+ * @param {string|null} input.error - Error shown to the user
+ * @returns {object} Report with collections, roles, missing, warnings and error (plain data, safe to JSON.stringify)
+ */
+export function buildDiagnosticsReport({
+  collections = null,
+  schemas = {},
+  mapping = {},
+  patterns = DEFAULT_PATTERNS,
+  error = null,
+} = {}) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    error,
+    collections: [],
+    roles: {},
+    missing: [],
+    warnings: [],
+  };
+
+  if (!collections) {
+    report.missing.push('Collections could not be listed, so nothing was detected.');
+    return report;
+  }
+
+  let detected;
+  try {
+    detected = detectCollections(collections, mapping, patterns);
+  } catch (err) {
+    report.warnings.push(err.message);
+    detected = detectCollections(collections, {}, patterns);
+  }
+
+  // Collections used for each role (holiday roles can have several)
+  const usedByRole = {};
+  Object.keys(MAPPING_ROLES).forEach(role => {
+    usedByRole[role] = [].concat(detected[role] || []);
+  });
+
+  // Step 1: Every collection on the site and the role its name suggests
+  report.collections = collections.map(collection => {
+    const usedAs = Object.keys(usedByRole).find(role => usedByRole[role].some(item => item.id === collection.id)) || null;
+    return {
+      id: collection.id,
+      name: getCollectionName(collection),
+      matchesRole: detectCollectionType(collection, patterns),
+      usedAs,
+    };
+  });
+
+  // Step 2: Each role with its collections, other candidates and fields
+  const referencedIds = {
+    state: detected.states ? detected.states.id : null,
+    country: detected.countries ? detected.countries.id : null,
+  };
+  Object.keys(MAPPING_ROLES).forEach(role => {
+    const { label } = MAPPING_ROLES[role];
+    const used = usedByRole[role];
+    const fieldMapping = (mapping[role] && mapping[role].fields) || {};
+    const required = REQUIRED_COLLECTIONS.includes(role);
+
+    const entry = {
+      label,
+      required,
+      collections: used.map(collection => ({
+        id: collection.id,
+        name: getCollectionName(collection),
+        confidence: rateCollection(collection, role, mapping, patterns),
+        fields: null, // null until the schema is loaded
+        fieldError: null,
+      })),
+      otherCandidates: report.collections
+        .filter(item => item.matchesRole === role && !used.some(collection => collection.id === item.id))
+        .map(item => item.name),
+    };
+
+    if (used.length === 0) {
+      report.missing.push(required
+        ? `${label} collection (required) - include "${label}" in its name or set its collection ID.`
+        : `${label} collection (optional).`);
+    }
+
+    entry.collections.forEach(collectionEntry => {
+      const schema = schemas[collectionEntry.id];
+      if (!schema) {
+        return;
+      }
+      const { fields, error: fieldError } = diagnoseFields(role, schema, fieldMapping, referencedIds, patterns);
+      collectionEntry.fields = fields;
+      collectionEntry.fieldError = fieldError;
+      if (fieldError) {
+        report.warnings.push(`${fieldError} ("${collectionEntry.name}")`);
+      }
+      fields
+        .filter(field => field.confidence === 'missing' && field.required)
+        .forEach(field => {
+          report.missing.push(`${label} ${field.role} field (${field.expectedTypes.join(' or ')}) in "${collectionEntry.name}".`);
+        });
+    });
+
+    if (entry.otherCandidates.length > 0) {
+      report.warnings.push(
+        `${label}: ${entry.otherCandidates.map(name => `"${name}"`).join(', ')} also matched by name but were not used. Set the collection ID to choose.`
+      );
+    }
+
+    report.roles[role] = entry;
+  });
+
+  return report;
+}
+
+/**
+ * Format a diagnostics report as JSON for copying into a support request
+ * @param {object} report - Report from buildDiagnosticsReport()
+ * @returns {string} Indented JSON
+ */
+export function formatDiagnosticsReport(report) {
+  return JSON.stringify(report, null, 2);
+}
@@ -0,0 +1,95 @@
+/**
+ * Persistent cache for loaded calendar data
+ * Keeps JSON in localStorage with the time it was saved, so a page can show the last
+ * data at once and only reload it in the background once it is older than the TTL
+ */
+
+// Default time before cached data is reloaded: 24 hours
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+const CACHE_PREFIX = 'webflow-calendar:';
+
+// Bumped when the shape of cached data changes, so old entries are ignored
+const CACHE_VERSION = 1;
+
+/**
+ * Get localStorage if the browser allows it
+ * @returns {Storage|null} localStorage, or null (server rendering, blocked storage)
+ */
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (err) {
+    return null; // Accessing localStorage throws when storage is blocked
+  }
+}
+
+/**
+ * Create a cache for one namespace (e.g. a site ID)
+ * Without storage, or with a TTL of 0, reads find nothing and writes are ignored.
+ * @param {object} options - Cache options
+ * @param {string} options.namespace - Namespace for the keys, e.g. the site ID
+ * @param {number} options.ttl - Milliseconds before an entry is stale (default: DEFAULT_CACHE_TTL)
+ * @param {Storage|null} options.storage - Storage to use (default: localStorage)
+ * @returns {object} Cache with read, write and clear methods
+ */
+export function createDataCache({ namespace, ttl = DEFAULT_CACHE_TTL, storage = getLocalStorage() } = {}) {
+  const prefix = `${CACHE_PREFIX}${namespace}:`;
+  const enabled = !!storage && ttl > 0;
+
+  return {
+    /**
+     * Read an entry
+     * @param {string} key - Entry key
+     * @returns {object|null} { value, savedAt, isStale }, or null if there is no usable entry
+     */
+    read(key) {
+      if (!enabled) {
+        return null;
+      }
+      try {
+        const entry = JSON.parse(storage.getItem(prefix + key));
+        if (!entry || entry.version !== CACHE_VERSION) {
+          return null;
+        }
+        return { value: entry.value, savedAt: entry.savedAt, isStale: Date.now() - entry.savedAt > ttl };
+      } catch (err) {
+        return null; // Unreadable entries are treated as missing
+      }
+    },
+
+    /**
+     * Write an entry
+     * @param {string} key - Entry key
+     * @param {*} value - JSON-serializable value
+     */
+    write(key, value) {
+      if (!enabled) {
+        return;
+      }
+      try {
+        storage.setItem(prefix + key, JSON.stringify({ version: CACHE_VERSION, savedAt: Date.now(), value }));
+      } catch (err) {
+        // Storage full - the data is still shown, just not cached
+        console.warn('Could not cache calendar data:', err);
+      }
+    },
+
+    /**
+     * Remove every entry in the namespace
+     */
+    clear() {
+      if (!storage) {
+        return;
+      }
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key && key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+      keys.forEach(key => storage.removeItem(key));
+    },
+  };
+}
@@ -3,7 +3,18 @@
  * Converts raw API responses into normalized data structures
  */
 
-import { parseWebflowDate, normalizeDate } from './date-utils.js';
+import { parseWebflowDate, isWeekend, addDays, DEFAULT_WORKING_DAYS } from './date-utils.js';
+import { isStateTagField } from './collection-detector.js';
+import { parseHolidayRule, getHolidayRuleDate } from './holiday-rules.js';
+
+/**
+ * Observed holiday rules
+ * - none: only observed days entered in the CMS are used
+ * - next-working-day: a holiday on a weekend is observed on the next working day
+ *   that isn't already a holiday (e.g. Christmas on Saturday and Boxing Day on
+ *   Sunday are observed on Monday and Tuesday)
+ */
+export const OBSERVED_RULES = ['none', 'next-working-day'];
 
 /**
  * Filter items to only include published items (exclude archived and draft)
@@ -23,13 +34,330 @@ function filterPublishedItems(items) {
 }
 
 /**
- * Process public holiday items from Webflow API
+ * Get the collections to process as { items, fields } sources
+ * @param {Array} items - Raw items, or an array of { items, fields } sources when fields is null
+ * @param {object|null} fields - Discovered field structure for the items
+ * @returns {Array} Array of { items, fields }
+ */
+function toSources(items, fields) {
+  if (fields) {
+    return [{ items, fields }];
+  }
+  return (items || []).filter(source => source && source.fields);
+}
+
+/**
+ * Use the names from a secondary CMS locale
+ * Items are matched by ID; an item without a translated name keeps its primary name.
+ * Only the name is taken from the translation, so dates and references always come
+ * from the primary locale.
+ * @param {Array} items - Raw items from API in the primary locale
+ * @param {Array|null} localizedItems - The same collection's items in the secondary locale
+ * @param {object} fields - Discovered field structure
+ * @returns {Array} Items with translated names
+ */
+export function localizeItemNames(items, localizedItems, fields) {
+  if (!items || !localizedItems || localizedItems.length === 0 || !fields || !fields.nameField) {
+    return items;
+  }
+
+  const { slug } = fields.nameField;
+  const localizedById = new Map(localizedItems.map(item => [item.id, item]));
+  return items.map(item => {
+    const localized = localizedById.get(item.id);
+    const name = localized && (localized.fieldData || {})[slug];
+    return name ? { ...item, fieldData: { ...item.fieldData, [slug]: name } } : item;
+  });
+}
+
+/**
+ * Normalize a holiday name for duplicate checks
+ * @param {string} name - Holiday name
+ * @returns {string} Lowercase name with single spaces
+ */
+function normalizeHolidayName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the referenced item IDs from a Reference or MultiReference field value
+ * @param {*} value - Field value: an ID, an object with an id, or an array of either
+ * @returns {string[]} Referenced item IDs
+ */
+function getReferenceIds(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    // MultiReference - array of IDs or objects
+    return value.map(ref => (ref && ref.id) || ref).filter(ref => typeof ref === 'string' && ref);
+  }
+  if (typeof value === 'object') {
+    // Reference - single object
+    return value.id ? [value.id] : [];
+  }
+  // Reference - single ID string
+  return typeof value === 'string' ? [value] : [];
+}
+
+/**
+ * Turn a state name or abbreviation from a tag field into a state ID
+ * Tags are matched ignoring case and spacing, so "NSW" and "nsw " are the same state
+ * @param {string} tag - State name or abbreviation
+ * @returns {string} State ID
+ */
+function toStateTagId(tag) {
+  return String(tag || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the state names or abbreviations from a state tag field value
+ * @param {*} value - Option ID, or comma-separated text such as "NSW, VIC"
+ * @param {object} field - Option or PlainText field
+ * @returns {string[]} Tags as written in the CMS
+ */
+function getStateTags(value, field) {
+  if (!value) {
+    return [];
+  }
+  if (field.type === 'Option') {
+    // Option values are option IDs - the option name is the state
+    const options = (field.validations && field.validations.options) || [];
+    const option = options.find(item => item.id === value);
+    return [option ? option.name : String(value)];
+  }
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Get the state IDs from a state field value, whether it references or tags states
+ * @param {*} value - Field value
+ * @param {object} field - Discovered state field
+ * @returns {string[]} State IDs
+ */
+function getStateIds(value, field) {
+  return isStateTagField(field)
+    ? getStateTags(value, field).map(toStateTagId)
+    : getReferenceIds(value);
+}
+
+/**
+ * Get a holiday's category from an Option or PlainText field value
+ * @param {*} value - Option ID or text
+ * @param {object|null} field - Category field
+ * @returns {string|null} Category name, or null if the item has none
+ */
+function getCategory(value, field) {
+  if (!field || !value) {
+    return null;
+  }
+  if (field.type === 'Option') {
+    // Option values are option IDs - the option name is the category
+    const options = (field.validations && field.validations.options) || [];
+    const option = options.find(item => item.id === value);
+    return option ? option.name : null;
+  }
+  return String(value).trim() || null;
+}
+
+/**
+ * Get a holiday's colour from a Color field value
+ * @param {*} value - Color field value, e.g. '#2E7D32'
+ * @param {object|null} field - Color field
+ * @returns {string|null} CSS colour, or null if the value isn't a colour
+ */
+function getColor(value, field) {
+  if (!field || typeof value !== 'string') {
+    return null;
+  }
+  const color = value.trim();
+  return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([^()]*\))$/i.test(color) ? color : null;
+}
+
+/**
+ * Check if a holiday applies everywhere (no states and no countries)
+ * @param {object} holiday - Public or school holiday object
+ * @returns {boolean} True if the holiday isn't limited to a region
+ */
+function appliesEverywhere(holiday) {
+  const stateIds = holiday.stateIds || (holiday.stateId ? [holiday.stateId] : []);
+  const countryIds = holiday.countryIds || (holiday.countryId ? [holiday.countryId] : []);
+  return stateIds.length === 0 && countryIds.length === 0;
+}
+
+/**
+ * Add IDs to a list, skipping ones already in it
+ * @param {string[]} target - List to add to
+ * @param {string[]} ids - IDs to add
+ */
+function addMissingIds(target, ids) {
+  ids.forEach(id => {
+    if (!target.includes(id)) {
+      target.push(id);
+    }
+  });
+}
+
+/**
+ * Merge public holidays listed in more than one collection
+ * Entries with the same date and name are one holiday that applies to the states and
+ * countries of all of them (or everywhere if any of them applies everywhere). Limits on
+ * the observed day (noObservedDay, observedStateIds) carry over from any of them, so a
+ * CMS holiday merged with a built-in one keeps the built-in substitute-day rules.
+ * @param {Array} holidays - Normalized public holiday objects
+ * @returns {Array} Public holidays without duplicates, in their original order
+ */
+function mergeDuplicatePublicHolidays(holidays) {
+  const byKey = new Map();
+  const result = [];
+
+  holidays.forEach(holiday => {
+    const key = `${holiday.date}|${normalizeHolidayName(holiday.name)}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      const copy = { ...holiday, stateIds: [...holiday.stateIds], countryIds: [...(holiday.countryIds || [])] };
+      byKey.set(key, copy);
+      result.push(copy);
+      return;
+    }
+
+    if (appliesEverywhere(existing) || appliesEverywhere(holiday)) {
+      existing.stateIds = [];
+      existing.countryIds = [];
+    } else {
+      addMissingIds(existing.stateIds, holiday.stateIds);
+      addMissingIds(existing.countryIds, holiday.countryIds || []);
+    }
+    existing.observedDate = existing.observedDate || holiday.observedDate;
+    existing.category = existing.category || holiday.category || null;
+    existing.color = existing.color || holiday.color || null;
+    if (holiday.noObservedDay) {
+      existing.noObservedDay = true;
+    }
+    if (!existing.observedStateIds && holiday.observedStateIds) {
+      existing.observedStateIds = [...holiday.observedStateIds];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Remove school holidays listed in more than one collection
+ * Entries with the same dates, state and country are the same period; the first one is kept
+ * @param {Array} holidays - Normalized school holiday objects
+ * @returns {Array} School holidays without duplicates, in their original order
+ */
+function removeDuplicateSchoolHolidays(holidays) {
+  const seen = new Set();
+  return holidays.filter(holiday => {
+    const key = `${holiday.startDate}|${holiday.endDate}|${holiday.stateId || ''}|${holiday.countryId || ''}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check if two holidays may apply to a common state
+ * Holidays without states or countries apply everywhere. The country of a state isn't
+ * known here, so a holiday for states and one for countries are assumed to overlap.
+ * @param {object} holidayA - First public holiday
+ * @param {object} holidayB - Second public holiday
+ * @returns {boolean} True if the holidays may share a state
+ */
+function sharesRegion(holidayA, holidayB) {
+  if (appliesEverywhere(holidayA) || appliesEverywhere(holidayB)) {
+    return true;
+  }
+  const statesA = holidayA.stateIds || [];
+  const statesB = holidayB.stateIds || [];
+  const countriesA = holidayA.countryIds || [];
+  const countriesB = holidayB.countryIds || [];
+  return statesA.some(id => statesB.includes(id))
+    || countriesA.some(id => countriesB.includes(id))
+    || (statesA.length > 0 && countriesB.length > 0)
+    || (countriesA.length > 0 && statesB.length > 0);
+}
+
+/**
+ * Add observed-day entries for public holidays
+ * Holidays that already have an observedDate (e.g. from the CMS) keep it; the rule
+ * only fills in holidays without one. Each observed day is added as its own public
+ * holiday entry (isObserved: true, actualDate) so it counts like any other holiday,
+ * and the original entry gets an observedDate pointing at it. Holidays marked
+ * noObservedDay (ones that always fall on a weekend, e.g. Easter Sunday) never get
+ * one from the rule. Holidays with observedStateIds only get one in those states, e.g. a
+ * national holiday whose substitute day some states don't give; the original entry then
+ * keeps no observedDate, since it stays the only day off elsewhere.
+ * @param {Array} holidays - Normalized public holiday objects
+ * @param {object} options - Observed day options
+ * @param {string} options.rule - One of OBSERVED_RULES (default: 'none')
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @returns {Array} Public holidays including observed-day entries, sorted by date
+ */
+export function addObservedHolidays(holidays, options = {}) {
+  const { rule = 'none', workingDays = DEFAULT_WORKING_DAYS } = options;
+  const sorted = [...holidays].sort((a, b) => a.date.localeCompare(b.date));
+
+  // Days already taken by a holiday, per date, so substitutes don't land on each other
+  const takenDays = new Map();
+  const takeDay = (date, holiday) => {
+    takenDays.set(date, [...(takenDays.get(date) || []), holiday]);
+  };
+  const isTaken = (date, holiday) => (takenDays.get(date) || []).some(other => sharesRegion(other, holiday));
+
+  sorted.forEach(holiday => takeDay(holiday.date, holiday));
+
+  const result = [];
+  sorted.forEach(holiday => {
+    let observedDate = holiday.observedDate || null;
+    // Region of the substitute day - the holiday's own unless it is limited to some states
+    const observedStateIds = !observedDate && holiday.observedStateIds ? holiday.observedStateIds : null;
+    const observedRegion = observedStateIds ? { stateIds: observedStateIds, countryIds: [] } : {};
+
+    const getsObservedDay = !holiday.noObservedDay && (!observedStateIds || observedStateIds.length > 0);
+    if (!observedDate && rule === 'next-working-day' && getsObservedDay && isWeekend(holiday.date, workingDays)) {
+      const region = { ...holiday, ...observedRegion };
+      observedDate = addDays(holiday.date, 1);
+      while (isWeekend(observedDate, workingDays) || isTaken(observedDate, region)) {
+        observedDate = addDays(observedDate, 1);
+      }
+    }
+
+    if (!observedDate || observedDate === holiday.date) {
+      result.push(holiday);
+      return;
+    }
+
+    const observed = {
+      ...holiday,
+      ...observedRegion,
+      id: `${holiday.id}-observed`,
+      date: observedDate,
+      observedDate: null,
+      isObserved: true,
+      actualDate: holiday.date,
+    };
+    takeDay(observedDate, observed);
+    result.push(observedStateIds ? holiday : { ...holiday, observedDate });
+    result.push(observed);
+  });
+
+  return result.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Normalize the public holiday items of one collection
+ * Recurring items keep their rule (and no date) until they are expanded for the years shown
  * @param {Array} items - Raw items from API
  * @param {object} fields - Discovered field structure
+ * @param {Function} onSkip - Called with (item, reason) for each item that is left out
  * @returns {Array} Normalized public holiday objects
  */
-
-export function processPublicHolidays(items, fields) {
+function normalizePublicHolidayItems(items, fields, onSkip = () => {}) {
   // Filter to only published items
   const publishedItems = filterPublishedItems(items);
   
@@ -37,7 +365,17 @@ export function processPublicHolidays(items, fields) {
     return [];
   }
 
-  const { dateField, nameField, stateField } = fields;
+  const {
+    dateField,
+    observedDateField,
+    recurringField,
+    ruleField,
+    nameField,
+    stateField,
+    countryField,
+    categoryField = null,
+    colorField = null,
+  } = fields;
 
   return publishedItems
     .map(item => {
@@ -45,12 +383,22 @@ export function processPublicHolidays(items, fields) {
       
       // Extract date
       const dateValue = dateField ? fieldData[dateField.slug] : null;
-      if (!dateValue) {
-        return null; // Skip items without dates
+      const date = dateValue ? parseWebflowDate(dateValue) : null;
+
+      // Extract recurrence - a rule such as "Easter Monday", or the date every year
+      let rule = ruleField ? parseHolidayRule(fieldData[ruleField.slug]) : null;
+      if (!rule && date && recurringField && fieldData[recurringField.slug]) {
+        rule = { type: 'fixed', month: Number(date.slice(5, 7)), day: Number(date.slice(8, 10)) };
       }
 
-      const date = parseWebflowDate(dateValue);
-      if (!date) {
+      if (!date && !rule) {
+        // Skip items without dates or rules
+        const ruleText = ruleField ? fieldData[ruleField.slug] : null;
+        if (ruleText) {
+          onSkip(item, `unreadable rule "${ruleText}"`);
+        } else {
+          onSkip(item, dateValue ? `unreadable date "${dateValue}"` : 'no date');
+        }
         return null;
       }
 
@@ -58,40 +406,121 @@ export function processPublicHolidays(items, fields) {
       const name = nameField ? (fieldData[nameField.slug] || 'Untitled Holiday') : 'Untitled Holiday';
 
       // Extract state references
-      let stateIds = [];
-      if (stateField) {
-        const stateValue = fieldData[stateField.slug];
-        if (stateValue) {
-          if (Array.isArray(stateValue)) {
-            // MultiReference - array of state IDs
-            stateIds = stateValue.map(ref => ref.id || ref).filter(Boolean);
-          } else if (typeof stateValue === 'object' && stateValue.id) {
-            // Reference - single state object
-            stateIds = [stateValue.id];
-          } else if (typeof stateValue === 'string') {
-            // Reference - single state ID string
-            stateIds = [stateValue];
-          }
-        }
-      }
+      const stateIds = stateField ? getStateIds(fieldData[stateField.slug], stateField) : [];
+
+      // Extract country references - states are more specific, so a holiday for
+      // states only applies to those states
+      const countryIds = countryField && stateIds.length === 0
+        ? getReferenceIds(fieldData[countryField.slug])
+        : [];
+
+      // Extract observed (substitute) date, if the CMS has one - it belongs to a
+      // single year, so recurring holidays don't keep it
+      const observedDate = observedDateField && !rule ? parseWebflowDate(fieldData[observedDateField.slug]) : null;
 
       return {
         id: item.id,
-        date: normalizeDate(date),
+        date: rule ? null : date,
         name,
         stateIds,
+        countryIds,
+        observedDate,
+        rule,
+        // Optional category (e.g. "Observance") and colour set by editors
+        category: getCategory(categoryField && fieldData[categoryField.slug], categoryField),
+        color: getColor(colorField && fieldData[colorField.slug], colorField),
       };
     })
     .filter(Boolean); // Remove null entries
 }
 
 /**
- * Process school holiday items from Webflow API
+ * Get the years to expand recurring holidays for when none are given
+ * @returns {number[]} This year and next year
+ */
+function getDefaultYears() {
+  const currentYear = new Date().getFullYear();
+  return [currentYear, currentYear + 1];
+}
+
+/**
+ * Replace recurring holidays with one dated entry per year
+ * Dated holidays are kept as they are. Each entry of a recurring holiday gets an ID
+ * ending in the year, e.g. "abc123-2025".
+ * @param {Array} holidays - Normalized public holiday objects, some with a rule
+ * @param {number[]} years - Years to expand for
+ * @returns {Array} Public holidays that all have a date
+ */
+function expandRecurringHolidays(holidays, years) {
+  return holidays.flatMap(holiday => {
+    const { rule, ...rest } = holiday;
+    if (!rule) {
+      return [rest];
+    }
+    return years
+      .map(year => ({ year, date: getHolidayRuleDate(rule, year) }))
+      .filter(({ date }) => date)
+      .map(({ year, date }) => ({ ...rest, id: `${holiday.id}-${year}`, date }));
+  });
+}
+
+/**
+ * Normalize public holiday items from Webflow API without expanding recurring ones
+ * Use with expandPublicHolidays() when the years shown can change after loading.
+ * @param {Array} items - Raw items from API, or an array of { items, fields } sources
+ * @param {object|null} fields - Discovered field structure (null when items are sources)
+ * @returns {Array} Normalized public holiday objects - recurring ones have a rule instead of a date
+ */
+export function normalizePublicHolidays(items, fields) {
+  return toSources(items, fields)
+    .flatMap(source => normalizePublicHolidayItems(source.items, source.fields));
+}
+
+/**
+ * Turn normalized public holidays into the dated holidays for some years
+ * Recurring holidays are expanded, holidays listed in more than one collection are
+ * merged, and observed days are added.
+ * @param {Array} holidays - Normalized public holidays from normalizePublicHolidays()
+ * @param {object} options - Processing options
+ * @param {number[]} options.years - Years to expand recurring holidays for (default: this year and next year)
+ * @param {string} options.observedRule - Rule for weekend holidays, one of OBSERVED_RULES (default: 'none')
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @returns {Array} Public holiday objects (date is a plain 'YYYY-MM-DD' date), including observed-day entries
+ */
+export function expandPublicHolidays(holidays, options = {}) {
+  const { years = getDefaultYears(), observedRule = 'none', workingDays = DEFAULT_WORKING_DAYS } = options;
+
+  const dated = expandRecurringHolidays(holidays || [], years);
+  return addObservedHolidays(mergeDuplicatePublicHolidays(dated), { rule: observedRule, workingDays });
+}
+
+/**
+ * Process public holiday items from Webflow API
+ * To merge several collections, pass an array of { items, fields } (one per collection)
+ * as items and null as fields. Holidays listed in more than one collection are merged.
+ * Recurring holidays (a "recurs annually" switch or a rule such as "second Monday of June")
+ * are expanded for options.years.
+ * @param {Array} items - Raw items from API, or an array of { items, fields } sources
+ * @param {object|null} fields - Discovered field structure (null when items are sources)
+ * @param {object} options - Processing options
+ * @param {number[]} options.years - Years to expand recurring holidays for (default: this year and next year)
+ * @param {string} options.observedRule - Rule for weekend holidays, one of OBSERVED_RULES (default: 'none')
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @returns {Array} Normalized public holiday objects (date is a plain 'YYYY-MM-DD' date),
+ *   including observed-day entries
+ */
+export function processPublicHolidays(items, fields, options = {}) {
+  return expandPublicHolidays(normalizePublicHolidays(items, fields), options);
+}
+
+/**
+ * Normalize the school holiday items of one collection
  * @param {Array} items - Raw items from API
  * @param {object} fields - Discovered field structure
+ * @param {Function} onSkip - Called with (item, reason) for each item that is left out
  * @returns {Array} Normalized school holiday objects
  */
-export function processSchoolHolidays(items, fields) {
+function normalizeSchoolHolidayItems(items, fields, onSkip = () => {}) {
   // Filter to only published items
   const publishedItems = filterPublishedItems(items);
   
@@ -99,7 +528,7 @@ export function processSchoolHolidays(items, fields) {
     return [];
   }
 
-  const { startDateField, endDateField, nameField, stateField } = fields;
+  const { startDateField, endDateField, nameField, stateField, countryField, categoryField = null, colorField = null } = fields;
 
   return publishedItems
     .map(item => {
@@ -108,63 +537,77 @@ export function processSchoolHolidays(items, fields) {
       // Extract start date
       const startDateValue = startDateField ? fieldData[startDateField.slug] : null;
       if (!startDateValue) {
+        onSkip(item, 'no start date');
         return null;
       }
 
       const startDate = parseWebflowDate(startDateValue);
       if (!startDate) {
+        onSkip(item, `unreadable start date "${startDateValue}"`);
         return null;
       }
 
       // Extract end date
       const endDateValue = endDateField ? fieldData[endDateField.slug] : null;
       if (!endDateValue) {
+        onSkip(item, 'no end date');
         return null;
       }
 
       const endDate = parseWebflowDate(endDateValue);
       if (!endDate) {
+        onSkip(item, `unreadable end date "${endDateValue}"`);
         return null;
       }
 
-      // Ensure end date is after start date
+      // Ensure end date is after start date (plain dates compare in calendar order)
       if (endDate < startDate) {
+        onSkip(item, `end date ${endDate} is before start date ${startDate}`);
         return null;
       }
 
       // Extract name
       const name = nameField ? (fieldData[nameField.slug] || 'Untitled Holiday') : 'Untitled Holiday';
 
-      // Extract state reference
-      let stateId = null;
-      if (stateField) {
-        const stateValue = fieldData[stateField.slug];
-        if (stateValue) {
-          if (typeof stateValue === 'object' && stateValue.id) {
-            // Reference - single state object
-            stateId = stateValue.id;
-          } else if (typeof stateValue === 'string') {
-            // Reference - single state ID string
-            stateId = stateValue;
-          } else if (Array.isArray(stateValue) && stateValue.length > 0) {
-            // MultiReference - take first state (school holidays typically have single state)
-            const firstState = stateValue[0];
-            stateId = typeof firstState === 'object' ? firstState.id : firstState;
-          }
-        }
-      }
+      // Extract state reference or tag - with several, take the first state (school
+      // holidays typically have a single state)
+      const stateId = stateField ? getStateIds(fieldData[stateField.slug], stateField)[0] || null : null;
+
+      // Extract country reference, for holidays that cover a whole country
+      const countryId = countryField && !stateId
+        ? getReferenceIds(fieldData[countryField.slug])[0] || null
+        : null;
 
       return {
         id: item.id,
-        startDate: normalizeDate(startDate),
-        endDate: normalizeDate(endDate),
+        startDate,
+        endDate,
         name,
         stateId,
+        countryId,
+        // Optional category and colour set by editors
+        category: getCategory(categoryField && fieldData[categoryField.slug], categoryField),
+        color: getColor(colorField && fieldData[colorField.slug], colorField),
       };
     })
     .filter(Boolean); // Remove null entries
 }
 
+/**
+ * Process school holiday items from Webflow API
+ * To merge several collections, pass an array of { items, fields } (one per collection)
+ * as items and null as fields. Periods listed in more than one collection are kept once.
+ * @param {Array} items - Raw items from API, or an array of { items, fields } sources
+ * @param {object|null} fields - Discovered field structure (null when items are sources)
+ * @returns {Array} Normalized school holiday objects (startDate/endDate are plain 'YYYY-MM-DD' dates)
+ */
+export function processSchoolHolidays(items, fields) {
+  const holidays = toSources(items, fields)
+    .flatMap(source => normalizeSchoolHolidayItems(source.items, source.fields));
+
+  return removeDuplicateSchoolHolidays(holidays);
+}
+
 /**
  * Process state items from Webflow API
  * @param {Array} items - Raw items from API
@@ -179,7 +622,7 @@ export function processStates(items, fields) {
     return [];
   }
 
-  const { nameField, slugField, abbreviationField } = fields;
+  const { nameField, slugField, abbreviationField, countryField } = fields;
 
   return publishedItems
     .map(item => {
@@ -194,16 +637,205 @@ export function processStates(items, fields) {
       // Extract abbreviation
       const abbreviation = abbreviationField ? (fieldData[abbreviationField.slug] || '') : '';
 
+      // Extract parent country reference
+      const countryId = countryField ? getReferenceIds(fieldData[countryField.slug])[0] || null : null;
+
       return {
         id: item.id,
         name,
         slug,
         abbreviation,
+        countryId,
       };
     })
     .filter(Boolean)
     .sort((a, b) => a.name.localeCompare(b.name)); // Sort alphabetically by name
 }
 
+/**
+ * Process country items from Webflow API
+ * @param {Array} items - Raw items from API
+ * @param {object} fields - Discovered field structure
+ * @returns {Array} Normalized country objects
+ */
+export function processCountries(items, fields) {
+  // Filter to only published items
+  const publishedItems = filterPublishedItems(items);
 
+  if (!publishedItems || !Array.isArray(publishedItems)) {
+    return [];
+  }
+
+  const { nameField, slugField, abbreviationField } = fields;
+
+  return publishedItems
+    .map(item => {
+      const fieldData = item.fieldData || {};
+
+      return {
+        id: item.id,
+        name: nameField ? (fieldData[nameField.slug] || 'Untitled Country') : 'Untitled Country',
+        slug: slugField ? (fieldData[slugField.slug] || '') : '',
+        abbreviation: abbreviationField ? (fieldData[abbreviationField.slug] || '') : '',
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name)); // Sort alphabetically by name
+}
+
+/**
+ * Build the state list from holiday state tags, for sites without a States collection
+ * Option fields list every option, even ones no holiday uses yet; PlainText fields list
+ * the values used by published items
+ * @param {Array} sources - { items, fields } for each public and school holiday collection
+ * @returns {Array} State objects shaped like processStates() output, sorted by name
+ */
+export function deriveStatesFromTags(sources) {
+  const statesById = new Map();
+  const addTag = tag => {
+    const id = toStateTagId(tag);
+    if (id && !statesById.has(id)) {
+      statesById.set(id, { id, name: tag, slug: id.replace(/ /g, '-'), abbreviation: '', countryId: null });
+    }
+  };
+
+  (sources || []).forEach(({ items, fields }) => {
+    const stateField = fields && fields.stateField;
+    if (!isStateTagField(stateField)) {
+      return;
+    }
+    if (stateField.type === 'Option') {
+      ((stateField.validations && stateField.validations.options) || []).forEach(option => addTag(option.name));
+    }
+    filterPublishedItems(items).forEach(item => {
+      getStateTags((item.fieldData || {})[stateField.slug], stateField).forEach(addTag);
+    });
+  });
+
+  return [...statesById.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Data warning types
+ * - skipped-item: an item was left out (no date, an unreadable date or rule, or an end date before the start date)
+ * - duplicate: the same holiday is entered more than once in a collection
+ * - overlapping-terms: school holidays for the same state overlap
+ * - unknown-state: a holiday references a state that isn't in the state list
+ * - unknown-country: a holiday references a country that isn't in the country list
+ */
+export const DATA_WARNING_TYPES = ['skipped-item', 'duplicate', 'overlapping-terms', 'unknown-state', 'unknown-country'];
 
+/**
+ * Describe a raw item for a warning
+ * @param {object} item - Raw item from API
+ * @param {object} fields - Discovered field structure
+ * @returns {string} The item's name in quotes, or its ID
+ */
+function describeItem(item, fields) {
+  const name = fields.nameField ? (item.fieldData || {})[fields.nameField.slug] : null;
+  return name ? `"${name}"` : `item ${item.id}`;
+}
+
+/**
+ * Group holidays that share a key
+ * @param {Array} holidays - Normalized holiday objects
+ * @param {Function} getKey - Returns the key of a holiday
+ * @returns {Array} Groups of more than one holiday
+ */
+function findDuplicates(holidays, getKey) {
+  const byKey = new Map();
+  holidays.forEach(holiday => {
+    const key = getKey(holiday);
+    byKey.set(key, [...(byKey.get(key) || []), holiday]);
+  });
+  return [...byKey.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Check CMS holiday data for problems editors should fix
+ * Validates the same items processPublicHolidays() and processSchoolHolidays() use, and
+ * reports what they leave out or can't make sense of. Duplicates are only reported within
+ * a collection, since the same holiday in several collections is merged on purpose.
+ * References are only checked against lists that aren't empty.
+ * @param {object} data - Loaded data
+ * @param {Array} data.publicHolidaySources - { items, fields } for each public holiday collection
+ * @param {Array} data.schoolHolidaySources - { items, fields } for each school holiday collection
+ * @param {Array} data.states - Normalized states
+ * @param {Array} data.countries - Normalized countries
+ * @returns {Array} Warnings ({ type, collection, itemIds, message }), type is one of DATA_WARNING_TYPES
+ */
+export function validateHolidayData({
+  publicHolidaySources = [],
+  schoolHolidaySources = [],
+  states = [],
+  countries = [],
+} = {}) {
+  const warnings = [];
+  const addWarning = (type, collection, itemIds, message) => {
+    warnings.push({ type, collection, itemIds, message });
+  };
+
+  // Step 1: Skipped items and duplicates in each collection
+  const publicHolidays = toSources(publicHolidaySources, null).flatMap(({ items, fields }) => {
+    const holidays = normalizePublicHolidayItems(items, fields, (item, reason) => {
+      addWarning('skipped-item', 'publicHolidays', [item.id], `Public holiday ${describeItem(item, fields)} was skipped: ${reason}.`);
+    });
+    findDuplicates(holidays, holiday => `${holiday.date || JSON.stringify(holiday.rule)}|${normalizeHolidayName(holiday.name)}`)
+      .forEach(group => {
+        addWarning('duplicate', 'publicHolidays', group.map(holiday => holiday.id),
+          `Public holiday "${group[0].name}" (${group[0].date || 'recurring'}) is entered ${group.length} times.`);
+      });
+    return holidays;
+  });
+
+  const schoolHolidays = toSources(schoolHolidaySources, null).flatMap(({ items, fields }) => {
+    const holidays = normalizeSchoolHolidayItems(items, fields, (item, reason) => {
+      addWarning('skipped-item', 'schoolHolidays', [item.id], `School holiday ${describeItem(item, fields)} was skipped: ${reason}.`);
+    });
+    findDuplicates(holidays, holiday => `${holiday.startDate}|${holiday.endDate}|${holiday.stateId || ''}|${holiday.countryId || ''}`)
+      .forEach(group => {
+        addWarning('duplicate', 'schoolHolidays', group.map(holiday => holiday.id),
+          `School holiday "${group[0].name}" (${group[0].startDate} to ${group[0].endDate}) is entered ${group.length} times.`);
+      });
+    return holidays;
+  });
+
+  // Step 2: Overlapping school holidays for the same state (or country, or everywhere)
+  const findName = (places, id) => (places.find(place => place.id === id) || {}).name || id;
+  const byRegion = findDuplicates(removeDuplicateSchoolHolidays(schoolHolidays), holiday => `${holiday.stateId || ''}|${holiday.countryId || ''}`);
+  byRegion.forEach(group => {
+    const { stateId, countryId } = group[0];
+    const region = stateId ? findName(states, stateId) : countryId ? findName(countries, countryId) : 'all states';
+    const sorted = [...group].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    let latest = sorted[0];
+    sorted.slice(1).forEach(holiday => {
+      if (holiday.startDate <= latest.endDate) {
+        addWarning('overlapping-terms', 'schoolHolidays', [latest.id, holiday.id],
+          `School holidays "${latest.name}" (${latest.startDate} to ${latest.endDate}) and "${holiday.name}" (${holiday.startDate} to ${holiday.endDate}) overlap for ${region}.`);
+      }
+      if (holiday.endDate > latest.endDate) {
+        latest = holiday;
+      }
+    });
+  });
+
+  // Step 3: References to states and countries that aren't loaded
+  const checkReferences = (type, places, label, collection, holidays, getIds) => {
+    if (!places || places.length === 0) {
+      return;
+    }
+    const knownIds = new Set(places.map(place => place.id));
+    holidays.forEach(holiday => {
+      const unknownIds = getIds(holiday).filter(id => !knownIds.has(id));
+      if (unknownIds.length > 0) {
+        addWarning(type, collection, [holiday.id],
+          `${collection === 'publicHolidays' ? 'Public' : 'School'} holiday "${holiday.name}" references unknown ${label} ${unknownIds.join(', ')}.`);
+      }
+    });
+  };
+  checkReferences('unknown-state', states, 'state', 'publicHolidays', publicHolidays, holiday => holiday.stateIds);
+  checkReferences('unknown-state', states, 'state', 'schoolHolidays', schoolHolidays, holiday => (holiday.stateId ? [holiday.stateId] : []));
+  checkReferences('unknown-country', countries, 'country', 'publicHolidays', publicHolidays, holiday => holiday.countryIds);
+  checkReferences('unknown-country', countries, 'country', 'schoolHolidays', schoolHolidays, holiday => (holiday.countryId ? [holiday.countryId] : []));
+
+  return warnings;
+}
@@ -1,119 +1,304 @@
 /**
  * Date utility functions for calendar and leave planning calculations
+ *
+ * Calendar days are handled as plain dates: 'YYYY-MM-DD' strings with no time or
+ * timezone. Functions accept either a plain date or a Date (read in local time, as
+ * the date picker produces them), so results don't depend on the browser's timezone.
  */
 
 /**
- * Check if a date is a weekend (Saturday or Sunday)
- * @param {Date} date - Date to check
+ * Default working week: Monday to Friday (Sunday = 0, Saturday = 6)
+ */
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parse a single day token (name or number) to a day of the week
+ * @param {string} token - Day token, e.g. "Mon", "monday" or "1"
+ * @returns {number} Day of the week (0-6) or -1 if not recognised
+ */
+function parseDayToken(token) {
+  const value = token.trim().toLowerCase();
+  if (/^[0-6]$/.test(value)) {
+    return Number(value);
+  }
+  return DAY_NAMES.indexOf(value.slice(0, 3));
+}
+
+/**
+ * Parse a working week configuration
+ * Accepts an array of day numbers or a string of day names, numbers and ranges
+ * such as "Mon-Fri", "Sun-Thu" or "Mon,Tue,Wed,Thu"
+ * @param {number[]|string|null} value - Working days configuration
+ * @returns {number[]} Sorted working days (0-6), Monday to Friday if the value is empty or invalid
+ */
+export function parseWorkingDays(value) {
+  if (Array.isArray(value)) {
+    const days = value.filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : DEFAULT_WORKING_DAYS;
+  }
+
+  if (!value || typeof value !== 'string') {
+    return DEFAULT_WORKING_DAYS;
+  }
+
+  const days = new Set();
+  for (const part of value.split(',')) {
+    const [from, to] = part.split('-');
+    const start = parseDayToken(from);
+    if (start === -1) {
+      continue;
+    }
+
+    if (to === undefined) {
+      days.add(start);
+      continue;
+    }
+
+    // Ranges wrap around the end of the week, e.g. "Sat-Wed"
+    const end = parseDayToken(to);
+    if (end === -1) {
+      continue;
+    }
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) {
+        break;
+      }
+    }
+  }
+
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : DEFAULT_WORKING_DAYS;
+}
+
+/**
+ * Convert a Date or date string to a plain date
+ * Dates are read in local time; strings keep their calendar date as written
+ * @param {Date|string} value - Date or date string (plain date or ISO timestamp)
+ * @returns {string|null} Plain date ('YYYY-MM-DD') or null if invalid
+ */
+export function toPlainDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = String(value.getFullYear()).padStart(4, '0');
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a plain date to a Date at local midnight (for the date picker)
+ * @param {string} plainDate - Plain date ('YYYY-MM-DD')
+ * @returns {Date|null} Local Date or null if invalid
+ */
+export function plainDateToDate(plainDate) {
+  const key = toPlainDate(plainDate);
+  if (!key) {
+    return null;
+  }
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Convert a plain date to a Date at UTC midnight (for timezone-free arithmetic)
+ * @param {string} plainDate - Plain date ('YYYY-MM-DD')
+ * @returns {Date} UTC Date
+ */
+function plainDateToUTC(plainDate) {
+  const [year, month, day] = plainDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date|string} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Plain date
+ */
+export function addDays(date, days) {
+  const utcDate = plainDateToUTC(toPlainDate(date));
+  utcDate.setUTCDate(utcDate.getUTCDate() + days);
+  return utcDate.toISOString().split('T')[0];
+}
+
+/**
+ * Count the days from one date to another
+ * @param {Date|string} startDate - From date
+ * @param {Date|string} endDate - To date
+ * @returns {number} Whole days from startDate to endDate (negative if endDate is earlier)
+ */
+export function getDaysBetween(startDate, endDate) {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+  return Math.round((plainDateToUTC(toPlainDate(endDate)) - plainDateToUTC(toPlainDate(startDate))) / MS_PER_DAY);
+}
+
+/**
+ * Get the day of the week for a date
+ * @param {Date|string} date - Date to check
+ * @returns {number} Day of the week (Sunday = 0, Saturday = 6)
+ */
+export function getDayOfWeek(date) {
+  return plainDateToUTC(toPlainDate(date)).getUTCDay();
+}
+
+/**
+ * Check if a date is a weekend (a day outside the working week)
+ * @param {Date|string} date - Date to check
+ * @param {number[]} workingDays - Working days of the week (default: Monday to Friday)
  * @returns {boolean} True if weekend
  */
-export function isWeekend(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6; // Sunday = 0, Saturday = 6
+export function isWeekend(date, workingDays = DEFAULT_WORKING_DAYS) {
+  return !workingDays.includes(getDayOfWeek(date));
 }
 
 /**
  * Check if a date falls within a date range (inclusive)
- * @param {Date} date - Date to check
- * @param {Date} startDate - Start of range
- * @param {Date} endDate - End of range
+ * @param {Date|string} date - Date to check
+ * @param {Date|string} startDate - Start of range
+ * @param {Date|string} endDate - End of range
  * @returns {boolean} True if date is within range
  */
 export function isDateInRange(date, startDate, endDate) {
-  const dateTime = date.getTime();
-  const startTime = startDate.getTime();
-  const endTime = endDate.getTime();
-  return dateTime >= startTime && dateTime <= endTime;
+  // Plain dates sort lexically in calendar order
+  const day = toPlainDate(date);
+  return day >= toPlainDate(startDate) && day <= toPlainDate(endDate);
 }
 
 /**
  * Check if a date matches a specific date (ignoring time)
- * @param {Date} date1 - First date
- * @param {Date} date2 - Second date
+ * @param {Date|string} date1 - First date
+ * @param {Date|string} date2 - Second date
  * @returns {boolean} True if dates match (same day)
  */
 export function isSameDate(date1, date2) {
-  return (
-    date1.getFullYear() === date2.getFullYear() &&
-    date1.getMonth() === date2.getMonth() &&
-    date1.getDate() === date2.getDate()
-  );
+  return toPlainDate(date1) === toPlainDate(date2);
 }
 
 /**
  * Get all dates in a range (inclusive)
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @returns {Date[]} Array of dates in range
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @returns {string[]} Array of plain dates in range
  */
 export function getDatesInRange(startDate, endDate) {
   const dates = [];
-  const currentDate = new Date(startDate);
-  
-  while (currentDate <= endDate) {
-    dates.push(new Date(currentDate));
-    currentDate.setDate(currentDate.getDate() + 1);
+  const end = toPlainDate(endDate);
+  let currentDate = toPlainDate(startDate);
+
+  while (currentDate <= end) {
+    dates.push(currentDate);
+    currentDate = addDays(currentDate, 1);
   }
-  
+
   return dates;
 }
 
+/**
+ * Check if a school holiday applies to a state
+ * A holiday with a state applies to that state, one with only a country applies to
+ * every state in that country, and one with neither applies everywhere
+ * @param {object} holiday - School holiday object with stateId and countryId
+ * @param {string|null} selectedStateId - Selected state ID (null matches every holiday when no country is given either)
+ * @param {string|null} countryId - Country of the selected state, or the selected country when no state is selected
+ * @returns {boolean} True if the holiday applies
+ */
+export function schoolHolidayAppliesToState(holiday, selectedStateId = null, countryId = null) {
+  if ((!selectedStateId && !countryId) || (!holiday.stateId && !holiday.countryId)) {
+    return true;
+  }
+  return holiday.stateId
+    ? holiday.stateId === selectedStateId
+    : holiday.countryId === countryId;
+}
+
+/**
+ * Check if a public holiday applies to a state
+ * A holiday with states applies to those states, one with countries applies to every
+ * state in those countries, and one with neither applies everywhere
+ * @param {object} holiday - Public holiday object with stateIds and countryIds arrays
+ * @param {string|null} selectedStateId - Selected state ID (null matches every holiday when no country is given either)
+ * @param {string|null} countryId - Country of the selected state, or the selected country when no state is selected
+ * @returns {boolean} True if the holiday applies
+ */
+export function publicHolidayAppliesToState(holiday, selectedStateId = null, countryId = null) {
+  const stateIds = holiday.stateIds || [];
+  const countryIds = holiday.countryIds || [];
+  if ((!selectedStateId && !countryId) || (stateIds.length === 0 && countryIds.length === 0)) {
+    return true;
+  }
+  return (!!selectedStateId && stateIds.includes(selectedStateId))
+    || (!!countryId && countryIds.includes(countryId));
+}
+
 /**
  * Check if a date falls within any school holiday period
- * @param {Date} date - Date to check
+ * @param {Date|string} date - Date to check
  * @param {Array} schoolHolidays - Array of school holiday objects with startDate and endDate
  * @param {string|null} selectedStateId - Optional state ID to filter holidays
+ * @param {string|null} countryId - Optional country ID, for holidays that apply to a whole country
  * @returns {boolean} True if date is within a school holiday period
  */
-export function isDateInSchoolHoliday(date, schoolHolidays, selectedStateId = null) {
+export function isDateInSchoolHoliday(date, schoolHolidays, selectedStateId = null, countryId = null) {
   if (!schoolHolidays || schoolHolidays.length === 0) {
     return false;
   }
 
-  return schoolHolidays.some(holiday => {
-    // Filter by state if provided
-    if (selectedStateId && holiday.stateId && holiday.stateId !== selectedStateId) {
-      return false;
-    }
-
-    return isDateInRange(date, holiday.startDate, holiday.endDate);
-  });
+  const day = toPlainDate(date);
+  return schoolHolidays.some(holiday => (
+    schoolHolidayAppliesToState(holiday, selectedStateId, countryId) &&
+    isDateInRange(day, holiday.startDate, holiday.endDate)
+  ));
 }
 
 /**
  * Check if a date is a public holiday
- * @param {Date} date - Date to check
+ * @param {Date|string} date - Date to check
  * @param {Array} publicHolidays - Array of public holiday objects with date property
  * @param {string|null} selectedStateId - Optional state ID to filter holidays
+ * @param {string|null} countryId - Optional country ID, for holidays that apply to a whole country
  * @returns {boolean} True if date is a public holiday
  */
-export function isPublicHoliday(date, publicHolidays, selectedStateId = null) {
+export function isPublicHoliday(date, publicHolidays, selectedStateId = null, countryId = null) {
   if (!publicHolidays || publicHolidays.length === 0) {
     return false;
   }
 
-  return publicHolidays.some(holiday => {
-    // Filter by state if provided (check if stateIds array includes selectedStateId)
-    if (selectedStateId && holiday.stateIds && !holiday.stateIds.includes(selectedStateId)) {
-      return false;
-    }
-
-    return isSameDate(date, holiday.date);
-  });
+  const day = toPlainDate(date);
+  return publicHolidays.some(holiday => (
+    publicHolidayAppliesToState(holiday, selectedStateId, countryId) &&
+    isSameDate(day, holiday.date)
+  ));
 }
 
 /**
  * Check if a date is any type of holiday
- * @param {Date} date - Date to check
+ * @param {Date|string} date - Date to check
  * @param {Array} publicHolidays - Array of public holidays
  * @param {Array} schoolHolidays - Array of school holidays
  * @param {string|null} selectedStateId - Optional state ID to filter holidays
+ * @param {string|null} countryId - Optional country ID, for holidays that apply to a whole country
  * @returns {boolean} True if date is any holiday
  */
-export function isHoliday(date, publicHolidays, schoolHolidays, selectedStateId = null) {
+export function isHoliday(date, publicHolidays, schoolHolidays, selectedStateId = null, countryId = null) {
   return (
-    isPublicHoliday(date, publicHolidays, selectedStateId) ||
-    isDateInSchoolHoliday(date, schoolHolidays, selectedStateId)
+    isPublicHoliday(date, publicHolidays, selectedStateId, countryId) ||
+    isDateInSchoolHoliday(date, schoolHolidays, selectedStateId, countryId)
   );
 }
 
@@ -130,28 +315,26 @@ export function normalizeDate(date) {
 
 /**
  * Parse date string from Webflow API (ISO format)
+ * Webflow stores date-only values as midnight UTC, so the calendar date is taken
+ * from the string itself rather than converted to the browser's timezone
  * @param {string} dateString - ISO date string
- * @returns {Date} Parsed date
+ * @returns {string|null} Plain date ('YYYY-MM-DD') or null if invalid
  */
 export function parseWebflowDate(dateString) {
   if (!dateString) return null;
-  const date = new Date(dateString);
-  return normalizeDate(date);
+  return toPlainDate(dateString);
 }
 
 /**
  * Format date for display
- * @param {Date} date - Date to format
+ * @param {Date|string} date - Date to format
  * @param {string} locale - Locale string (default: 'en-US')
+ * @param {object} formatOptions - Intl.DateTimeFormat options (default: long date)
  * @returns {string} Formatted date string
  */
-export function formatDate(date, locale = 'en-US') {
-  return date.toLocaleDateString(locale, {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
+export function formatDate(date, locale = 'en-US', formatOptions = { year: 'numeric', month: 'long', day: 'numeric' }) {
+  return plainDateToUTC(toPlainDate(date)).toLocaleDateString(locale, {
+    ...formatOptions,
+    timeZone: 'UTC',
   });
 }
-
-
-
@@ -0,0 +1,209 @@
+/**
+ * Detection patterns
+ * Words used to recognise collections by name and fields by slug, per language.
+ * Matching ignores case and accents, so "Jours fériés" matches "jours feries".
+ */
+
+/**
+ * Built-in pattern sets by language
+ * collections: whole words or phrases in collection names, per collection role
+ * fields: whole words or hyphenated phrases in field slugs, per field role
+ */
+export const BUILT_IN_PATTERNS = {
+  en: {
+    collections: {
+      publicHolidays: ['public holiday', 'public holidays'],
+      schoolHolidays: ['school holiday', 'school holidays'],
+      states: ['state', 'states'],
+      countries: ['country', 'countries'],
+    },
+    fields: {
+      date: ['date'],
+      observedDate: ['observed', 'substitute'],
+      recurring: ['recurring', 'recurs', 'recurrence', 'recurrent', 'annual', 'annually', 'yearly', 'every-year', 'repeat', 'repeats', 'repeating'],
+      rule: ['rule'],
+      category: ['category', 'type', 'kind'],
+      color: ['color', 'colour'],
+      name: ['name'],
+      startDate: ['start-date', 'startdate', 'start'],
+      endDate: ['end-date', 'enddate', 'end'],
+      slug: ['slug'],
+      abbreviation: ['abbreviation'],
+      title: ['title'],
+      state: ['state', 'states'],
+      country: ['country', 'countries'],
+    },
+  },
+  de: {
+    collections: {
+      publicHolidays: ['feiertag', 'feiertage', 'gesetzliche feiertage'],
+      schoolHolidays: ['schulferien', 'ferien'],
+      states: ['bundesland', 'bundesländer', 'bundeslaender', 'kanton', 'kantone'],
+      countries: ['land', 'länder', 'laender', 'staat', 'staaten'],
+    },
+    fields: {
+      date: ['datum'],
+      observedDate: ['ersatz', 'ersatztag', 'ersatzfeiertag', 'verlegt'],
+      recurring: ['jaehrlich', 'jahrlich', 'wiederkehrend', 'wiederholung'],
+      rule: ['regel'],
+      category: ['kategorie', 'typ'],
+      color: ['farbe'],
+      name: ['name', 'bezeichnung'],
+      startDate: ['startdatum', 'beginn', 'anfang'],
+      endDate: ['enddatum', 'ende'],
+      slug: ['slug'],
+      abbreviation: ['abkuerzung', 'abkurzung', 'kuerzel', 'kurzel'],
+      title: ['titel'],
+      state: ['bundesland', 'bundeslaender', 'bundeslander', 'kanton', 'kantone'],
+      country: ['land', 'laender', 'lander', 'staat', 'staaten'],
+    },
+  },
+  fr: {
+    collections: {
+      publicHolidays: ['jour férié', 'jours fériés', 'fériés'],
+      schoolHolidays: ['vacances scolaires', 'congés scolaires'],
+      states: ['région', 'régions', 'état', 'états', 'province', 'provinces', 'canton', 'cantons'],
+      countries: ['pays'],
+    },
+    fields: {
+      date: ['date'],
+      observedDate: ['observe', 'observee', 'substitut', 'substitution'],
+      recurring: ['annuel', 'annuelle', 'recurrent', 'recurrente', 'recurrence', 'chaque-annee'],
+      rule: ['regle'],
+      category: ['categorie', 'type'],
+      color: ['couleur'],
+      name: ['nom'],
+      startDate: ['date-de-debut', 'debut'],
+      endDate: ['date-de-fin', 'fin'],
+      slug: ['slug'],
+      abbreviation: ['abreviation', 'sigle'],
+      title: ['titre'],
+      state: ['region', 'regions', 'etat', 'etats', 'province', 'provinces', 'canton', 'cantons'],
+      country: ['pays'],
+    },
+  },
+  es: {
+    collections: {
+      publicHolidays: ['festivo', 'festivos', 'días festivos', 'feriado', 'feriados'],
+      schoolHolidays: ['vacaciones escolares'],
+      states: ['estado', 'estados', 'comunidad autónoma', 'comunidades autónomas', 'provincia', 'provincias', 'región', 'regiones'],
+      countries: ['país', 'países'],
+    },
+    fields: {
+      date: ['fecha'],
+      observedDate: ['observado', 'trasladado', 'sustituto'],
+      recurring: ['anual', 'anualmente', 'recurrente', 'recurrencia', 'cada-ano'],
+      rule: ['regla'],
+      category: ['categoria', 'tipo'],
+      color: ['color'],
+      name: ['nombre'],
+      startDate: ['fecha-de-inicio', 'fecha-inicio', 'inicio'],
+      endDate: ['fecha-de-fin', 'fecha-fin', 'fin'],
+      slug: ['slug'],
+      abbreviation: ['abreviatura', 'sigla'],
+      title: ['titulo'],
+      state: ['estado', 'estados', 'comunidad', 'comunidades', 'provincia', 'provincias', 'region', 'regiones'],
+      country: ['pais', 'paises'],
+    },
+  },
+};
+
+/**
+ * Normalize text for matching (lowercase, trimmed, accents removed)
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if text contains one of the patterns as whole words
+ * Ignores case and accents; anything but a letter or digit separates words, so the slug
+ * "holiday-end" matches "end" but "calendar-name" doesn't
+ * @param {string} text - Collection name or field slug
+ * @param {string[]} patterns - Words or phrases to look for
+ * @returns {boolean} True if a pattern matches
+ */
+export function matchesWords(text, patterns) {
+  const normalized = normalizeText(text);
+  return (patterns || []).some(pattern => (
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalizeText(pattern))}($|[^a-z0-9])`).test(normalized)
+  ));
+}
+
+/**
+ * Add the patterns of one set to another, per role, without duplicates
+ * @param {object} target - Patterns being built ({ collections, fields })
+ * @param {object} source - Patterns to add
+ */
+function mergePatterns(target, source) {
+  ['collections', 'fields'].forEach(group => {
+    Object.entries((source && source[group]) || {}).forEach(([role, patterns]) => {
+      const merged = target[group][role] || [];
+      (Array.isArray(patterns) ? patterns : [patterns]).forEach(pattern => {
+        if (pattern && !merged.includes(pattern)) {
+          merged.push(pattern);
+        }
+      });
+      target[group][role] = merged;
+    });
+  });
+}
+
+/**
+ * Build the detection patterns for a site
+ * English is always included so English collection names keep working
+ * @param {object} options - Pattern options
+ * @param {string} options.locale - Site locale, e.g. 'de-DE' - its language is used when no languages are given
+ * @param {string|string[]} options.languages - Built-in languages to use, e.g. ['de', 'fr'] or 'de,fr'
+ * @param {string|object} options.custom - Extra patterns as an object or JSON, e.g. {"collections": {"publicHolidays": ["Feiertagskalender"]}}
+ * @returns {object} Patterns with collections and fields by role
+ * @throws {Error} If the custom patterns aren't valid JSON
+ */
+export function getDetectionPatterns(options = {}) {
+  const { locale = null, languages = null, custom = null } = options;
+
+  let selectedLanguages = typeof languages === 'string'
+    ? languages.split(',').map(language => language.trim().toLowerCase()).filter(Boolean)
+    : (languages || []);
+  if (selectedLanguages.length === 0 && locale) {
+    selectedLanguages = [String(locale).split(/[-_]/)[0].toLowerCase()];
+  }
+
+  let customPatterns = custom || {};
+  if (typeof customPatterns === 'string') {
+    try {
+      customPatterns = customPatterns.trim() ? JSON.parse(customPatterns) : {};
+    } catch (err) {
+      throw new Error(`Detection patterns are not valid JSON: ${err.message}`);
+    }
+  }
+
+  const patterns = { collections: {}, fields: {} };
+  ['en', ...selectedLanguages].forEach(language => {
+    if (BUILT_IN_PATTERNS[language]) {
+      mergePatterns(patterns, BUILT_IN_PATTERNS[language]);
+    }
+  });
+  mergePatterns(patterns, customPatterns);
+  return patterns;
+}
+
+/**
+ * Default patterns - English only; other languages are picked with getDetectionPatterns()
+ */
+export const DEFAULT_PATTERNS = getDetectionPatterns();
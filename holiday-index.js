@@ -0,0 +1,103 @@
+/**
+ * Holiday index for fast day lookups
+ * Built once per dataset and state so the calculation engine and calendar UI can
+ * answer "is this day a holiday?" in constant time instead of scanning every holiday
+ */
+
+import {
+  toPlainDate,
+  getDatesInRange,
+  publicHolidayAppliesToState,
+  schoolHolidayAppliesToState,
+} from './date-utils.js';
+
+/**
+ * Add a holiday to the list stored for a day
+ * @param {Map} map - Map of plain date to holidays
+ * @param {string} date - Plain date
+ * @param {object} holiday - Holiday object
+ */
+function addToDay(map, date, holiday) {
+  const holidays = map.get(date);
+  if (holidays) {
+    holidays.push(holiday);
+  } else {
+    map.set(date, [holiday]);
+  }
+}
+
+/**
+ * Build a holiday index for a dataset and state
+ * Public holidays follow the work state and school holidays the school state, which
+ * is the work state unless a different one is given. Holidays for a whole country
+ * apply through the country of each state.
+ * @param {Array} publicHolidays - Array of public holiday objects
+ * @param {Array} schoolHolidays - Array of school holiday objects
+ * @param {string|null} selectedStateId - Optional (work) state ID for filtering
+ * @param {object} options - Index options
+ * @param {string|null} options.schoolStateId - State ID for school holidays (default: selectedStateId)
+ * @param {string|null} options.countryId - Country of the work state, or the selected country when no state is selected
+ * @param {string|null} options.schoolCountryId - Country of the school state (default: countryId)
+ * @returns {object} Index with per-day lookup methods
+ */
+export function createHolidayIndex(publicHolidays, schoolHolidays, selectedStateId = null, options = {}) {
+  const { schoolStateId = selectedStateId, countryId = null } = options;
+  const { schoolCountryId = countryId } = options;
+  const publicHolidaysByDate = new Map();
+  const schoolHolidaysByDate = new Map();
+
+  (publicHolidays || []).forEach(holiday => {
+    const date = toPlainDate(holiday.date);
+    if (date && publicHolidayAppliesToState(holiday, selectedStateId, countryId)) {
+      addToDay(publicHolidaysByDate, date, holiday);
+    }
+  });
+
+  (schoolHolidays || []).forEach(holiday => {
+    if (!schoolHolidayAppliesToState(holiday, schoolStateId, schoolCountryId)) {
+      return;
+    }
+    getDatesInRange(holiday.startDate, holiday.endDate).forEach(date => {
+      addToDay(schoolHolidaysByDate, date, holiday);
+    });
+  });
+
+  return {
+    selectedStateId,
+    schoolStateId,
+    countryId,
+    schoolCountryId,
+
+    /**
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if date is a public holiday
+     */
+    isPublicHoliday(date) {
+      return publicHolidaysByDate.has(toPlainDate(date));
+    },
+
+    /**
+     * @param {Date|string} date - Date to check
+     * @returns {Array} Public holidays on the date
+     */
+    getPublicHolidays(date) {
+      return publicHolidaysByDate.get(toPlainDate(date)) || [];
+    },
+
+    /**
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if date is within a school holiday period
+     */
+    isSchoolHoliday(date) {
+      return schoolHolidaysByDate.has(toPlainDate(date));
+    },
+
+    /**
+     * @param {Date|string} date - Date to check
+     * @returns {Array} School holiday periods covering the date
+     */
+    getSchoolHolidays(date) {
+      return schoolHolidaysByDate.get(toPlainDate(date)) || [];
+    },
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Built-in holiday provider
+ * Computes the standard public holidays of the Australian states from rules, for sites
+ * without a Public Holidays collection or to fill in holidays the CMS doesn't list
+ */
+
+import { parseHolidayRule } from './holiday-rules.js';
+import { expandPublicHolidays } from './data-processor.js';
+
+/**
+ * How computed holidays are used
+ * - off: only CMS holidays (a missing Public Holidays collection is an error)
+ * - fallback: computed holidays when there is no Public Holidays collection
+ * - merge: computed holidays as well as CMS holidays
+ */
+export const HOLIDAY_PROVIDER_MODES = ['off', 'fallback', 'merge'];
+
+/**
+ * Australian states and territories, shaped like processStates() output
+ */
+export const AUSTRALIAN_STATES = [
+  { id: 'act', name: 'Australian Capital Territory', slug: 'australian-capital-territory', abbreviation: 'ACT', countryId: null },
+  { id: 'nsw', name: 'New South Wales', slug: 'new-south-wales', abbreviation: 'NSW', countryId: null },
+  { id: 'nt', name: 'Northern Territory', slug: 'northern-territory', abbreviation: 'NT', countryId: null },
+  { id: 'qld', name: 'Queensland', slug: 'queensland', abbreviation: 'QLD', countryId: null },
+  { id: 'sa', name: 'South Australia', slug: 'south-australia', abbreviation: 'SA', countryId: null },
+  { id: 'tas', name: 'Tasmania', slug: 'tasmania', abbreviation: 'TAS', countryId: null },
+  { id: 'vic', name: 'Victoria', slug: 'victoria', abbreviation: 'VIC', countryId: null },
+  { id: 'wa', name: 'Western Australia', slug: 'western-australia', abbreviation: 'WA', countryId: null },
+];
+
+// Names a Countries collection may use for Australia
+const AUSTRALIA_NAMES = ['australia', 'au', 'aus'];
+
+// Standard holidays - national ones have no states, and ones that are always on a
+// weekend have no observed day. observedStates lists the only states that give a
+// substitute day when the holiday falls on a weekend (Anzac Day isn't moved elsewhere).
+// Holidays set by proclamation each year (e.g. show days, the WA King's Birthday) and
+// ones without a simple rule are left to the CMS.
+const AUSTRALIAN_HOLIDAYS = [
+  { key: 'new-years-day', name: "New Year's Day", rule: '1 January' },
+  { key: 'australia-day', name: 'Australia Day', rule: '26 January' },
+  { key: 'labour-day-wa', name: 'Labour Day', rule: 'first Monday of March', states: ['WA'] },
+  { key: 'labour-day-vic', name: 'Labour Day', rule: 'second Monday of March', states: ['VIC'] },
+  { key: 'eight-hours-day', name: 'Eight Hours Day', rule: 'second Monday of March', states: ['TAS'] },
+  { key: 'canberra-day', name: 'Canberra Day', rule: 'second Monday of March', states: ['ACT'] },
+  { key: 'adelaide-cup-day', name: 'Adelaide Cup Day', rule: 'second Monday of March', states: ['SA'] },
+  { key: 'good-friday', name: 'Good Friday', rule: 'Good Friday' },
+  { key: 'easter-saturday', name: 'Easter Saturday', rule: 'Easter Saturday', noObservedDay: true, states: ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'VIC'] },
+  { key: 'easter-sunday', name: 'Easter Sunday', rule: 'Easter Sunday', noObservedDay: true, states: ['ACT', 'NSW', 'QLD', 'SA', 'VIC', 'WA'] },
+  { key: 'easter-monday', name: 'Easter Monday', rule: 'Easter Monday' },
+  { key: 'anzac-day', name: 'Anzac Day', rule: '25 April', observedStates: ['ACT', 'WA'] },
+  { key: 'labour-day-qld', name: 'Labour Day', rule: 'first Monday of May', states: ['QLD'] },
+  { key: 'may-day', name: 'May Day', rule: 'first Monday of May', states: ['NT'] },
+  { key: 'western-australia-day', name: 'Western Australia Day', rule: 'first Monday of June', states: ['WA'] },
+  { key: 'kings-birthday', name: "King's Birthday", rule: 'second Monday of June', states: ['ACT', 'NSW', 'NT', 'SA', 'TAS', 'VIC'] },
+  { key: 'picnic-day', name: 'Picnic Day', rule: 'first Monday of August', states: ['NT'] },
+  { key: 'labour-day', name: 'Labour Day', rule: 'first Monday of October', states: ['ACT', 'NSW', 'SA'] },
+  { key: 'kings-birthday-qld', name: "King's Birthday", rule: 'first Monday of October', states: ['QLD'] },
+  { key: 'melbourne-cup-day', name: 'Melbourne Cup Day', rule: 'first Tuesday of November', states: ['VIC'] },
+  { key: 'christmas-day', name: 'Christmas Day', rule: '25 December' },
+  { key: 'boxing-day', name: 'Boxing Day', rule: '26 December' },
+];
+
+/**
+ * Check if a place has one of the given names, ignoring case
+ * @param {object} place - State or country object
+ * @param {string[]} names - Lowercase names
+ * @returns {boolean} True if the ID, name, slug or abbreviation matches
+ */
+function hasName(place, names) {
+  return [place.id, place.name, place.slug, place.abbreviation]
+    .some(value => value && names.includes(String(value).toLowerCase()));
+}
+
+/**
+ * Find the site's state for an Australian state abbreviation
+ * @param {Array} states - The site's states
+ * @param {string} abbreviation - Australian state abbreviation, e.g. 'NSW'
+ * @returns {string|null} State ID, or null if the site doesn't have the state
+ */
+function findStateId(states, abbreviation) {
+  const australianState = AUSTRALIAN_STATES.find(state => state.abbreviation === abbreviation);
+  const names = [australianState.id, australianState.name, australianState.slug]
+    .map(name => name.toLowerCase());
+  const state = states.find(item => hasName(item, names));
+  return state ? state.id : null;
+}
+
+/**
+ * Get the computed holidays as normalized recurring holidays
+ * State holidays are matched to the site's states by abbreviation, name or slug, and
+ * left out when the site has none of their states. National holidays apply to Australia
+ * when the site has countries, otherwise everywhere. Holidays whose substitute day only
+ * some states give carry those states as observedStateIds.
+ * @param {object} options - Provider options
+ * @param {Array} options.states - The site's states (default: AUSTRALIAN_STATES)
+ * @param {Array} options.countries - The site's countries (default: none)
+ * @returns {Array} Holidays shaped like normalizePublicHolidays() output, each with a rule
+ */
+export function getComputedHolidayDefinitions(options = {}) {
+  const { states = AUSTRALIAN_STATES, countries = [] } = options;
+  const australia = countries.find(country => hasName(country, AUSTRALIA_NAMES));
+  const countryIds = australia ? [australia.id] : [];
+
+  const findStateIds = abbreviations => abbreviations
+    .map(abbreviation => findStateId(states, abbreviation))
+    .filter(Boolean);
+
+  return AUSTRALIAN_HOLIDAYS
+    .map(holiday => {
+      const stateIds = findStateIds(holiday.states || []);
+      if (holiday.states && stateIds.length === 0) {
+        return null; // The site has none of the holiday's states
+      }
+
+      return {
+        id: `computed-${holiday.key}`,
+        date: null,
+        name: holiday.name,
+        stateIds,
+        countryIds: holiday.states ? [] : countryIds,
+        observedDate: null,
+        rule: parseHolidayRule(holiday.rule),
+        category: null,
+        color: null,
+        ...(holiday.noObservedDay ? { noObservedDay: true } : {}),
+        ...(holiday.observedStates ? { observedStateIds: findStateIds(holiday.observedStates) } : {}),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Compute the public holidays for some years
+ * @param {object} options - Provider and processing options
+ * @param {Array} options.states - The site's states (default: AUSTRALIAN_STATES)
+ * @param {Array} options.countries - The site's countries (default: none)
+ * @param {number[]} options.years - Years to compute (default: this year and next year)
+ * @param {string} options.observedRule - Rule for weekend holidays, one of OBSERVED_RULES (default: 'none')
+ * @param {number[]} options.workingDays - Working days of the week (default: Monday to Friday)
+ * @returns {Array} Public holiday objects shaped like processPublicHolidays() output
+ */
+export function computePublicHolidays(options = {}) {
+  const { states, countries, ...processOptions } = options;
+  return expandPublicHolidays(getComputedHolidayDefinitions({ states, countries }), processOptions);
+}
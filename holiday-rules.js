@@ -0,0 +1,193 @@
+/**
+ * Holiday rules
+ * Parses recurring holiday definitions such as "25 December", "second Monday of June"
+ * or "Easter Monday" and works out their date in a given year
+ */
+
+import { addDays } from './date-utils.js';
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Ordinals for "second Monday of June" - last is -1
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5,
+  last: -1,
+};
+
+// Named days relative to Easter Sunday, in days
+const EASTER_DAYS = {
+  'maundy thursday': -3,
+  'holy thursday': -3,
+  'good friday': -2,
+  'holy saturday': -1,
+  'easter saturday': -1,
+  'easter': 0,
+  'easter sunday': 0,
+  'easter monday': 1,
+  'ascension day': 39,
+  'whit sunday': 49,
+  'pentecost': 49,
+  'whit monday': 50,
+  'pentecost monday': 50,
+  'corpus christi': 60,
+};
+
+/**
+ * Find a month by full or three-letter name
+ * @param {string} name - Month name, lowercase
+ * @returns {number|null} Month (1-12) or null
+ */
+function parseMonth(name) {
+  const index = MONTHS.findIndex(month => month === name || month.slice(0, 3) === name);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Format a year, month and day as a plain date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} Plain date 'YYYY-MM-DD'
+ */
+function toPlainDateParts(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Calculate Easter Sunday (Western churches) for a year
+ * Uses the anonymous Gregorian algorithm
+ * @param {number} year - Year
+ * @returns {string} Plain date of Easter Sunday
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toPlainDateParts(year, month, day);
+}
+
+/**
+ * Parse a holiday rule
+ * Supported forms (case-insensitive):
+ * - Fixed dates: "25 December", "December 25", "Dec 25th", "12-25"
+ * - Weekdays in a month: "second Monday of June", "last Monday in May", "1st Tuesday of Nov"
+ * - Easter: "Good Friday", "Easter Monday", "Easter + 39", "2 days before Easter"
+ * @param {string} text - Rule text
+ * @returns {object|null} Rule ({ type: 'fixed', month, day }, { type: 'nth-weekday', n, weekday, month }
+ *   or { type: 'easter', offset }), or null if the text isn't a rule
+ */
+export function parseHolidayRule(text) {
+  const rule = String(text || '')
+    .toLowerCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\bthe\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!rule) {
+    return null;
+  }
+
+  // Named days around Easter
+  if (Object.prototype.hasOwnProperty.call(EASTER_DAYS, rule)) {
+    return { type: 'easter', offset: EASTER_DAYS[rule] };
+  }
+
+  // "Easter + 39" or "Easter -2"
+  let match = rule.match(/^easter(?: sunday)? ?([+-]) ?(\d+)$/);
+  if (match) {
+    return { type: 'easter', offset: Number(match[2]) * (match[1] === '-' ? -1 : 1) };
+  }
+
+  // "2 days before Easter"
+  match = rule.match(/^(\d+) days? (before|after) easter(?: sunday)?$/);
+  if (match) {
+    return { type: 'easter', offset: Number(match[1]) * (match[2] === 'before' ? -1 : 1) };
+  }
+
+  // "second Monday of June"
+  match = rule.match(/^(\w+) (\w+?)s? (?:of|in) (\w+)$/);
+  if (match && ORDINALS[match[1]] && WEEKDAYS.includes(match[2]) && parseMonth(match[3])) {
+    return { type: 'nth-weekday', n: ORDINALS[match[1]], weekday: WEEKDAYS.indexOf(match[2]), month: parseMonth(match[3]) };
+  }
+
+  // "25 December", "December 25th" or "12-25"
+  let month = null;
+  let day = null;
+  if ((match = rule.match(/^(\d{1,2})(?:st|nd|rd|th)? (?:of )?(\w+)$/))) {
+    [day, month] = [Number(match[1]), parseMonth(match[2])];
+  } else if ((match = rule.match(/^(\w+) (\d{1,2})(?:st|nd|rd|th)?$/))) {
+    [month, day] = [parseMonth(match[1]), Number(match[2])];
+  } else if ((match = rule.match(/^(\d{2})-(\d{2})$/))) {
+    [month, day] = [Number(match[1]), Number(match[2])];
+  }
+  // Checked against a leap year so 29 February is allowed
+  if (month && month <= 12 && day >= 1 && day <= daysInMonth(2000, month)) {
+    return { type: 'fixed', month, day };
+  }
+
+  return null;
+}
+
+/**
+ * Get the date of a holiday rule in a year
+ * @param {object} rule - Rule from parseHolidayRule()
+ * @param {number} year - Year
+ * @returns {string|null} Plain date, or null if the rule has no date that year
+ *   (e.g. 29 February outside leap years or a fifth Monday that doesn't exist)
+ */
+export function getHolidayRuleDate(rule, year) {
+  if (!rule) {
+    return null;
+  }
+
+  if (rule.type === 'fixed') {
+    return rule.day <= daysInMonth(year, rule.month) ? toPlainDateParts(year, rule.month, rule.day) : null;
+  }
+
+  if (rule.type === 'easter') {
+    return addDays(getEasterSunday(year), rule.offset);
+  }
+
+  if (rule.type === 'nth-weekday') {
+    const lastDay = daysInMonth(year, rule.month);
+    if (rule.n === -1) {
+      const lastWeekday = new Date(Date.UTC(year, rule.month - 1, lastDay)).getUTCDay();
+      return toPlainDateParts(year, rule.month, lastDay - ((lastWeekday - rule.weekday + 7) % 7));
+    }
+    const firstWeekday = new Date(Date.UTC(year, rule.month - 1, 1)).getUTCDay();
+    const day = 1 + ((rule.weekday - firstWeekday + 7) % 7) + (rule.n - 1) * 7;
+    return day <= lastDay ? toPlainDateParts(year, rule.month, day) : null;
+  }
+
+  return null;
+}
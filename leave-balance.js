@@ -0,0 +1,87 @@
+/**
+ * Leave balance projection
+ * Projects the leave available on a date from a starting balance and accrual rate,
+ * and checks planned trips against it
+ */
+
+import { toPlainDate, getDaysBetween } from './date-utils.js';
+
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Resolve the start of the leave year the balance is counted from
+ * A month and day ("07-01") means the most recent occurrence on or before the reference date
+ * @param {string} leaveYearStart - Leave year start as 'YYYY-MM-DD' or 'MM-DD'
+ * @param {Date|string} referenceDate - Date to resolve a month and day against (default: today)
+ * @returns {string|null} Plain date or null if invalid
+ */
+export function resolveLeaveYearStart(leaveYearStart, referenceDate = new Date()) {
+  if (!leaveYearStart) {
+    return null;
+  }
+
+  const fullDate = toPlainDate(leaveYearStart);
+  if (fullDate) {
+    return fullDate;
+  }
+
+  const match = String(leaveYearStart).trim().match(/^(\d{1,2})-(\d{1,2})$/);
+  const reference = toPlainDate(referenceDate);
+  if (!match || !reference) {
+    return null;
+  }
+
+  const monthDay = `${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  const year = Number(reference.slice(0, 4));
+  const thisYear = `${year}-${monthDay}`;
+  return thisYear <= reference ? thisYear : `${year - 1}-${monthDay}`;
+}
+
+/**
+ * Project the leave balance available on a date
+ * Leave accrues evenly through the year from the leave year start
+ * @param {Date|string} date - Date to project to
+ * @param {object} settings - Balance settings
+ * @param {number} settings.startingBalance - Balance at the start of the leave year (days)
+ * @param {number} settings.accrualRate - Leave accrued per year (days)
+ * @param {string} settings.leaveYearStart - Leave year start as 'YYYY-MM-DD' or 'MM-DD'
+ * @returns {number} Projected balance in days, rounded to two decimals
+ */
+export function projectLeaveBalance(date, settings) {
+  const { startingBalance = 0, accrualRate = 0, leaveYearStart = null } = settings || {};
+  const yearStart = resolveLeaveYearStart(leaveYearStart);
+
+  // Without a leave year start there is nothing to accrue from
+  const daysAccrued = yearStart ? Math.max(0, getDaysBetween(yearStart, date)) : 0;
+  const balance = startingBalance + (accrualRate * daysAccrued) / DAYS_PER_YEAR;
+  return Math.round(balance * 100) / 100;
+}
+
+/**
+ * Check planned trips against the projected balance
+ * Trips are taken in date order, so each one has the leave of earlier trips deducted
+ * @param {Array} trips - Array of { id, startDate, leaveDaysUsed } (trips without a start are skipped)
+ * @param {object} settings - Balance settings (see projectLeaveBalance)
+ * @returns {object} Map of trip ID to { availableBalance, balanceAfter, exceedsBalance }
+ */
+export function projectTripBalances(trips, settings) {
+  const planned = (trips || [])
+    .filter(trip => trip && trip.startDate)
+    .map(trip => ({ ...trip, startDate: toPlainDate(trip.startDate) }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const result = {};
+  let usedByEarlierTrips = 0;
+  planned.forEach(trip => {
+    const availableBalance = Math.round((projectLeaveBalance(trip.startDate, settings) - usedByEarlierTrips) * 100) / 100;
+    const balanceAfter = Math.round((availableBalance - trip.leaveDaysUsed) * 100) / 100;
+    result[trip.id] = {
+      availableBalance,
+      balanceAfter,
+      exceedsBalance: trip.leaveDaysUsed > availableBalance,
+    };
+    usedByEarlierTrips += trip.leaveDaysUsed;
+  });
+
+  return result;
+}
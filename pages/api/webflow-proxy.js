@@ -8,6 +8,9 @@
 
 const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
 
+// Rate-limit headers passed back from Webflow, so the client knows when to retry
+const RATE_LIMIT_HEADERS = ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'];
+
 /**
  * Set CORS headers for the response
  * @param {object} res - Next.js response object
@@ -18,6 +21,7 @@ function setCORSHeaders(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', RATE_LIMIT_HEADERS.join(', '));
   res.setHeader('Access-Control-Max-Age', '86400');
 }
 
@@ -119,6 +123,14 @@ export default async function handler(req, res) {
     // Make request to Webflow API
     const response = await fetch(apiUrl, requestOptions);
 
+    // Pass rate-limit headers through
+    RATE_LIMIT_HEADERS.forEach(header => {
+      const value = response.headers.get(header);
+      if (value !== null) {
+        res.setHeader(header, value);
+      }
+    });
+
     // Get response data
     const data = await response.json().catch(() => ({
       error: 'Invalid JSON response',
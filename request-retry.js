@@ -0,0 +1,166 @@
+/**
+ * Retry for Webflow API requests
+ * Retries rate-limited (429) and server error responses with exponential backoff,
+ * waiting as long as the API asks in its Retry-After header
+ */
+
+/**
+ * Default retry budget
+ * - retries: retries after the first attempt (0 turns retrying off)
+ * - baseDelay: delay before the first retry in ms, doubled for each retry after it
+ * - maxDelay: longest wait in ms - a request whose Retry-After asks for longer fails at once
+ * - onRetry: called with (error, attempt, delay) before each retry, e.g. for logging (optional)
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  onRetry: null,
+};
+
+/**
+ * Create an error for a non-OK response, with what retrying needs to know
+ * @param {string} message - Error message
+ * @param {Response} response - Fetch response
+ * @returns {Error} Error with status and retryAfter (ms or null)
+ */
+export function createResponseError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+  return error;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds to wait, or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check if an error comes from a cancelled request
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True if the request was aborted
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Throw if a signal has been aborted
+ * @param {AbortSignal|null} signal - Abort signal
+ * @throws {Error} AbortError (or the signal's reason) when aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    if (signal.reason) {
+      throw signal.reason;
+    }
+    const error = new Error('The request was aborted.');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Check if a failed request is worth trying again
+ * Rate limits, server errors and network errors are; other client errors (e.g. 404) aren't
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True if the request may succeed on a retry
+ */
+export function isRetryableError(error) {
+  if (error.isNetworkError) {
+    return true;
+  }
+  return error.status === 429 || (error.status >= 500 && error.status <= 599);
+}
+
+/**
+ * Get the delay before a retry
+ * Exponential backoff with jitter, so clients rate-limited together don't retry together.
+ * A Retry-After from the API wins over the backoff; withRetry() gives up rather than wait
+ * longer than maxDelay for it.
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number|null} retryAfter - Milliseconds from the Retry-After header
+ * @param {object} options - Retry options (see DEFAULT_RETRY_OPTIONS)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempt, retryAfter, options = DEFAULT_RETRY_OPTIONS) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter;
+  }
+  const backoff = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Wait for a number of milliseconds, stopping early if the signal is aborted
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal|null} signal - Abort signal
+ * @returns {Promise<void>} Rejects with an AbortError when aborted
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run a request, retrying it while it fails with a retryable error and the budget lasts
+ * Aborting the signal stops the retries, including a wait between them.
+ * @param {Function} request - Returns a promise for the response
+ * @param {object} options - Retry options (see DEFAULT_RETRY_OPTIONS)
+ * @param {AbortSignal|null} signal - Abort signal (default: none)
+ * @returns {Promise<any>} The first successful response
+ * @throws {Error} The last error once the budget is used up, the first error that can't be
+ *   retried (or asks to wait longer than maxDelay), or an AbortError
+ */
+export async function withRetry(request, options = {}, signal = null) {
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= retryOptions.retries || !isRetryableError(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+      const delay = getRetryDelay(attempt, error.retryAfter ?? null, retryOptions);
+      if (delay > retryOptions.maxDelay) {
+        throw error; // Waiting as long as the API asks would leave the calendar loading
+      }
+      if (retryOptions.onRetry) {
+        retryOptions.onRetry(error, attempt, delay);
+      }
+      await wait(delay, signal);
+    }
+  }
+}
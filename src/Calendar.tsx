@@ -3,33 +3,142 @@
  * Handles collection detection, data fetching, and UI rendering
  */
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { WebflowApiClient } from '../webflow-api.js';
+import { isAbortError } from '../request-retry.js';
 import {
   detectCollections,
   discoverPublicHolidayFields,
   discoverSchoolHolidayFields,
   discoverStateFields,
+  discoverCountryFields,
   shouldEnableStateFiltering,
+  shouldEnableCountryFiltering,
+  isStateTagField,
+  parseCollectionMapping,
 } from '../collection-detector.js';
 import {
-  processPublicHolidays,
+  normalizePublicHolidays,
+  expandPublicHolidays,
   processSchoolHolidays,
   processStates,
+  processCountries,
+  deriveStatesFromTags,
+  validateHolidayData,
+  localizeItemNames,
 } from '../data-processor.js';
-import { calculateAllMetrics } from '../calculations.js';
+import {
+  calculateAllMetrics,
+  calculateCombinedMetrics,
+  calculateDayBreakdown,
+  calculateMetricsByState,
+  findBestLeaveRanges,
+} from '../calculations.js';
+import { parseWorkingDays, toPlainDate, plainDateToDate, formatDate } from '../date-utils.js';
+import { projectLeaveBalance, projectTripBalances } from '../leave-balance.js';
+import { createHolidayIndex } from '../holiday-index.js';
+import { getComputedHolidayDefinitions, AUSTRALIAN_STATES } from '../holiday-provider.js';
+import { buildDiagnosticsReport } from '../collection-diagnostics.js';
+import { getDetectionPatterns, DEFAULT_PATTERNS } from '../detection-patterns.js';
 import { CalendarUI } from '../calendar-ui.jsx';
-import { mockPublicHolidays, mockSchoolHolidays, mockStates, delay } from './mock-data';
+import { mockPublicHolidays, mockSchoolHolidays, mockStates, mockCountries, delay } from './mock-data';
 import { CustomDropdown } from './CustomDropdown';
+import { LeaveSuggestions } from './LeaveSuggestions';
+import { DayBreakdown } from './DayBreakdown';
+import { StateComparison } from './StateComparison';
+import { DiagnosticsPanel } from './DiagnosticsPanel';
+import { DataWarningsBanner } from './DataWarningsBanner';
 import '../styles.css';
 
+export interface LeaveRange {
+  id: number;
+  range: [Date, Date] | null;
+  halfDayStart: boolean; // Only the afternoon of the first day is taken off
+  halfDayEnd: boolean; // Only the morning of the last day is taken off
+}
+
+/**
+ * Find a state or country by ID or name
+ */
+function findPlace(places: any[], idOrName?: string | null) {
+  if (!idOrName) {
+    return null;
+  }
+  return places.find((place: any) => place.id === idOrName || place.name === idOrName) || null;
+}
+
+/**
+ * Check if the states know their country - without a parent-country field on the
+ * States collection they can't be filtered by country
+ */
+function statesHaveCountries(states: any[]) {
+  return states.some((state: any) => !!state.countryId);
+}
+
+/**
+ * Pick the country and state to start with, keeping the state inside the country
+ * The default country wins; otherwise the country follows the state. The first country
+ * is only picked when no state is, so it can't disagree with the state.
+ */
+function pickInitialPlaces(
+  states: any[],
+  countries: any[],
+  defaultState: string | undefined,
+  defaultCountry: string | undefined,
+  pickFirstState: boolean
+) {
+  const country = findPlace(countries, defaultCountry);
+  const candidates = country && statesHaveCountries(states)
+    ? states.filter((state: any) => state.countryId === country.id)
+    : states;
+  const state = findPlace(candidates, defaultState) || (pickFirstState ? candidates[0] || null : null);
+  let countryId = null;
+  if (country) {
+    countryId = country.id;
+  } else if (state) {
+    countryId = state.countryId || null;
+  } else if (countries[0]) {
+    countryId = countries[0].id;
+  }
+  return { stateId: state ? state.id : null, countryId };
+}
+
+// Data shown by the calendar once loaded - also what is cached between page loads
+interface LoadedData {
+  publicHolidayDefinitions: any[];
+  schoolHolidays: any[];
+  states: any[];
+  countries: any[];
+  enableStateFilter: boolean;
+  pickFirstState: boolean; // Start with the first state when there is no default state
+  dataWarnings: any[];
+}
+
 export interface CalendarProps {
   siteId?: string;
   apiEndpoint?: string;
   defaultState?: string;
+  defaultSchoolState?: string; // School holidays state when it differs from the work state
+  defaultCountry?: string; // Country ID or name, for sites with a Countries collection
   locale?: string;
   theme?: 'light' | 'dark';
+  workingDays?: string; // e.g. "Mon-Fri", "Sun-Thu" or "Mon,Tue,Wed,Thu"
+  observedHolidays?: 'none' | 'next-working-day'; // Substitute days for weekend public holidays
+  computedHolidays?: 'off' | 'fallback' | 'merge'; // Built-in Australian holidays, without or as well as the CMS ones
+  leaveBalance?: number; // Leave balance at the start of the leave year (days)
+  accrualRate?: number; // Leave accrued per year (days)
+  leaveYearStart?: string; // 'YYYY-MM-DD' or 'MM-DD' - balance tracking is off when empty
+  publicHolidaysCollectionId?: string; // Pin collections instead of detecting them by name
+  schoolHolidaysCollectionId?: string;
+  statesCollectionId?: string;
+  countriesCollectionId?: string;
+  fieldMapping?: string; // JSON field slugs per collection, e.g. {"schoolHolidays": {"startDate": "term-start"}}
+  detectionLanguages?: string; // Languages of collection and field names, e.g. "de,fr" (default: the locale's language)
+  detectionPatterns?: string; // JSON extra name patterns, e.g. {"collections": {"publicHolidays": ["Feiertagskalender"]}}
   useMockData?: boolean; // Enable mock data mode for testing
+  cacheHours?: number; // Hours before cached data is reloaded in the background (0 turns caching off)
+  showDataWarnings?: boolean; // Show problems found in the CMS holiday data above the calendar
+  onDataWarnings?: (warnings: any[]) => void; // Called with the problems found in the CMS holiday data after loading
 }
 
 /**
@@ -39,28 +148,78 @@ export function Calendar({
   siteId,
   apiEndpoint,
   defaultState,
+  defaultSchoolState,
+  defaultCountry,
   locale = 'en-US',
   theme = 'dark',
+  workingDays,
+  observedHolidays = 'none',
+  computedHolidays = 'off',
+  leaveBalance = 0,
+  accrualRate = 20,
+  leaveYearStart = '',
+  publicHolidaysCollectionId,
+  schoolHolidaysCollectionId,
+  statesCollectionId: pinnedStatesCollectionId,
+  countriesCollectionId: pinnedCountriesCollectionId,
+  fieldMapping,
+  detectionLanguages,
+  detectionPatterns,
   useMockData = false,
+  cacheHours = 24,
+  showDataWarnings = false,
+  onDataWarnings,
 }: CalendarProps) {
   // State management
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [selectedRange, setSelectedRange] = useState<[Date, Date] | null>(null);
+  const [diagnostics, setDiagnostics] = useState<any>(null);
+  // Problems found in the CMS holiday data - null until data is loaded
+  const [dataWarnings, setDataWarnings] = useState<any[] | null>(null);
+  // Latest callback, so a new function on every render doesn't reload the data
+  const onDataWarningsRef = useRef(onDataWarnings);
+  onDataWarningsRef.current = onDataWarnings;
+  // The load in progress, cancelled when a newer one starts or the component unmounts
+  const loadControllerRef = useRef<AbortController | null>(null);
+  const [ranges, setRanges] = useState<LeaveRange[]>([
+    { id: 1, range: null, halfDayStart: false, halfDayEnd: false },
+  ]);
+  const [activeRangeId, setActiveRangeId] = useState(1);
+  const nextRangeId = useRef(2);
   const [selectedStateId, setSelectedStateId] = useState<string | null>(defaultState || null);
+  // State for school holidays - null means the same state as for work (public holidays)
+  const [schoolStateId, setSchoolStateId] = useState<string | null>(null);
+  const effectiveSchoolStateId = schoolStateId || selectedStateId;
 
-  // Data state
-  const [publicHolidays, setPublicHolidays] = useState<any[]>([]);
+  // Data state - public holidays are kept as loaded, with recurring ones still as rules
+  const [publicHolidayDefinitions, setPublicHolidayDefinitions] = useState<any[]>([]);
   const [schoolHolidays, setSchoolHolidays] = useState<any[]>([]);
   const [states, setStates] = useState<any[]>([]);
   const [enableStateFilter, setEnableStateFilter] = useState(false);
+  const [countries, setCountries] = useState<any[]>([]);
+  // Years in the calendar's visible months, reported by the calendar UI
+  const [visibleYears, setVisibleYears] = useState<number[]>(() => [new Date().getFullYear()]);
+  const [selectedCountryId, setSelectedCountryId] = useState<string | null>(null);
+  const [compareStates, setCompareStates] = useState(false);
 
-  // Calculations state
+  // Calculations state - combined across all ranges, plus each range on its own
   const [metrics, setMetrics] = useState({
     totalDaysOff: 0,
     leaveDaysUsed: 0,
     schoolDaysAbsent: 0,
   });
+  const [rangeMetrics, setRangeMetrics] = useState<Record<number, typeof metrics>>({});
+
+  // The range being edited in the date picker
+  const activeRange = ranges.find(item => item.id === activeRangeId) || ranges[0];
+  const selectedRange = activeRange ? activeRange.range : null;
+
+  // Leave optimizer state
+  const [leaveBudget, setLeaveBudget] = useState(4);
+  const [suggestionYear, setSuggestionYear] = useState(() => new Date().getFullYear());
+
+  // Working week used for weekends in calculations and styling
+  const parsedWorkingDays = useMemo(() => parseWorkingDays(workingDays), [workingDays]);
 
   // Initialize API client
   const apiClient = useMemo(() => {
@@ -77,54 +236,111 @@ export function Calendar({
         siteId,
         apiEndpoint,
         // apiToken removed for security - use apiEndpoint with backend proxy instead
+        cache: { ttl: Math.max(0, cacheHours) * 60 * 60 * 1000 },
       });
       return client;
     } catch (err: any) {
       setError(`API configuration error: ${err.message}`);
       return null;
     }
-  }, [siteId, apiEndpoint, useMockData]);
+  }, [siteId, apiEndpoint, useMockData, cacheHours]);
+
+  // Cached data is only reused when it was loaded with the same collections and settings
+  const cacheKey = useMemo(() => JSON.stringify([
+    publicHolidaysCollectionId,
+    schoolHolidaysCollectionId,
+    pinnedStatesCollectionId,
+    pinnedCountriesCollectionId,
+    fieldMapping,
+    locale,
+    detectionLanguages,
+    detectionPatterns,
+    computedHolidays,
+  ]), [
+    publicHolidaysCollectionId,
+    schoolHolidaysCollectionId,
+    pinnedStatesCollectionId,
+    pinnedCountriesCollectionId,
+    fieldMapping,
+    locale,
+    detectionLanguages,
+    detectionPatterns,
+    computedHolidays,
+  ]);
+
+  // Show loaded data and pick the starting country and state
+  // A background refresh keeps the country and states the visitor chose if they still exist
+  const applyLoadedData = useCallback((data: LoadedData, keepSelection = false) => {
+    setEnableStateFilter(data.enableStateFilter);
+    setPublicHolidayDefinitions(data.publicHolidayDefinitions);
+    setSchoolHolidays(data.schoolHolidays);
+    setStates(data.states);
+    setCountries(data.countries);
+    setDataWarnings(data.dataWarnings);
+
+    const initial = pickInitialPlaces(data.states, data.countries, defaultState, defaultCountry, data.pickFirstState);
+    const defaultSchoolStateObj = findPlace(data.states, defaultSchoolState);
+    const isKept = (id: string | null, places: any[]) => (
+      keepSelection && !!id && places.some((place: any) => place.id === id)
+    );
+    setSelectedCountryId(prev => (isKept(prev, data.countries) ? prev : initial.countryId));
+    setSelectedStateId(prev => (isKept(prev, data.states) ? prev : initial.stateId));
+    setSchoolStateId(prev => (
+      isKept(prev, data.states) ? prev : (defaultSchoolStateObj ? defaultSchoolStateObj.id : null)
+    ));
+  }, [defaultState, defaultCountry, defaultSchoolState]);
 
   // Fetch and process collections
   const fetchCollections = useCallback(async () => {
-    setLoading(true);
+    // Only the latest load may show its data - cancel the one before it
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    const { signal } = controller;
+
+    // Cached data is shown at once, and only reloaded (in the background) once it is stale
+    const cached = apiClient ? apiClient.readCache(cacheKey) : null;
     setError(null);
+    setDiagnostics(null);
+    if (cached) {
+      applyLoadedData(cached.value);
+      setLoading(false);
+      if (!cached.isStale) {
+        return;
+      }
+    } else {
+      setLoading(true);
+      setDataWarnings(null);
+    }
+
+    // What was loaded so far, for the diagnostics report if something fails
+    let allCollections: any[] | null = null;
+    let mapping: any = {};
+    let patterns: any = DEFAULT_PATTERNS;
+    const schemas: Record<string, any> = {};
 
     try {
       // Use mock data if enabled
       if (useMockData) {
         // Simulate API delay
         await delay(800);
-        
-        // Process mock data
-        const processedPublicHolidays = mockPublicHolidays.map(h => ({
-          ...h,
-          date: new Date(h.date),
-        }));
-        const processedSchoolHolidays = mockSchoolHolidays.map(h => ({
-          ...h,
-          startDate: new Date(h.startDate),
-          endDate: new Date(h.endDate),
-        }));
-        const processedStates = [...mockStates];
-
-        setPublicHolidays(processedPublicHolidays);
-        setSchoolHolidays(processedSchoolHolidays);
-        setStates(processedStates);
-        setEnableStateFilter(true); // Mock data has states
-
-        // Set default state
-        if (defaultState && processedStates.length > 0) {
-          const defaultStateObj = processedStates.find((s: any) => s.id === defaultState || s.name === defaultState);
-          if (defaultStateObj) {
-            setSelectedStateId(defaultStateObj.id);
-          } else if (processedStates.length > 0) {
-            setSelectedStateId(processedStates[0].id);
-          }
-        } else if (processedStates.length > 0) {
-          setSelectedStateId(processedStates[0].id);
+        if (signal.aborted) {
+          return;
         }
         
+        // Mock data is already normalized to plain dates
+        applyLoadedData({
+          publicHolidayDefinitions: mockPublicHolidays,
+          schoolHolidays: [...mockSchoolHolidays],
+          states: [...mockStates],
+          countries: [...mockCountries],
+          enableStateFilter: true, // Mock data has states
+          pickFirstState: true,
+          dataWarnings: [], // Mock data is already clean
+        });
+        
         setLoading(false);
         return;
       }
@@ -135,126 +351,534 @@ export function Calendar({
       }
 
       // Step 1: List all collections
-      const allCollections = await apiClient.listCollections();
+      allCollections = await apiClient.listCollections({ signal });
       
-      // Step 2: Detect relevant collections
-      const detected = detectCollections(allCollections);
+      // Step 2: Detect relevant collections - pinned ones first, then by name
+      mapping = parseCollectionMapping({
+        publicHolidaysCollectionId,
+        schoolHolidaysCollectionId,
+        statesCollectionId: pinnedStatesCollectionId,
+        countriesCollectionId: pinnedCountriesCollectionId,
+        fieldMapping,
+      });
+      patterns = getDetectionPatterns({ locale, languages: detectionLanguages, custom: detectionPatterns });
+      const detected = detectCollections(allCollections as any[], mapping, patterns);
 
-      if (!detected.publicHolidays) {
+      // Without a Public Holidays collection, the built-in holidays are used if allowed
+      const hasPublicHolidayCollection = detected.publicHolidays.length > 0;
+      if (!hasPublicHolidayCollection && computedHolidays === 'off') {
         throw new Error('Public holidays collection not found. Please ensure a collection named "Public Holidays" exists.');
       }
+      const useComputedHolidays = computedHolidays === 'merge' || !hasPublicHolidayCollection;
 
       // Step 3: Fetch collection schemas and discover fields
       const statesCollectionId = detected.states ? detected.states.id : null;
+      const countriesCollectionId = detected.countries ? detected.countries.id : null;
 
-      // Discover fields
-      const publicHolidaySchema = await apiClient.getCollection(detected.publicHolidays.id);
-      const publicHolidayFields = discoverPublicHolidayFields(publicHolidaySchema, statesCollectionId);
+      // Discover fields for every public and school holiday collection
+      const publicHolidayFields = [];
+      for (const collection of detected.publicHolidays) {
+        const schema = await apiClient.getCollection(collection.id, { signal });
+        schemas[collection.id] = schema;
+        publicHolidayFields.push(
+          discoverPublicHolidayFields(schema, statesCollectionId, mapping.publicHolidays.fields, patterns, countriesCollectionId)
+        );
+      }
 
-      let schoolHolidayFields = null;
-      if (detected.schoolHolidays) {
-        const schoolHolidaySchema = await apiClient.getCollection(detected.schoolHolidays.id);
-        schoolHolidayFields = discoverSchoolHolidayFields(schoolHolidaySchema, statesCollectionId);
+      const schoolHolidayFields = [];
+      for (const collection of detected.schoolHolidays) {
+        const schema = await apiClient.getCollection(collection.id, { signal });
+        schemas[collection.id] = schema;
+        schoolHolidayFields.push(
+          discoverSchoolHolidayFields(schema, statesCollectionId, mapping.schoolHolidays.fields, patterns, countriesCollectionId)
+        );
       }
 
       let stateFields = null;
       if (detected.states) {
-        const stateSchema = await apiClient.getCollection(detected.states.id);
-        stateFields = discoverStateFields(stateSchema);
+        const stateSchema = await apiClient.getCollection(detected.states.id, { signal });
+        schemas[detected.states.id] = stateSchema;
+        stateFields = discoverStateFields(stateSchema, mapping.states.fields, patterns, countriesCollectionId);
+      }
+
+      let countryFields = null;
+      if (detected.countries) {
+        const countrySchema = await apiClient.getCollection(detected.countries.id, { signal });
+        schemas[detected.countries.id] = countrySchema;
+        countryFields = discoverCountryFields(countrySchema, mapping.countries.fields, patterns);
       }
 
-      // Step 4: Check if state filtering should be enabled
-      const shouldEnable = shouldEnableStateFiltering(
+      // Step 4: Check if state and country filtering should be enabled
+      const shouldEnable = shouldEnableStateFiltering(detected, publicHolidayFields, schoolHolidayFields);
+      const shouldEnableCountries = shouldEnableCountryFiltering(
         detected,
         publicHolidayFields,
-        schoolHolidayFields || {}
+        schoolHolidayFields,
+        stateFields
       );
-      setEnableStateFilter(shouldEnable);
 
-      // Step 5: Fetch all items
-      const [publicHolidayItems, schoolHolidayItems, stateItems] = await Promise.all([
-        apiClient.fetchAllCollectionItems(detected.publicHolidays.id),
-        detected.schoolHolidays
-          ? apiClient.fetchAllCollectionItems(detected.schoolHolidays.id)
-          : Promise.resolve([]),
+      // Step 5: Fetch all items, and their names in the locale's CMS locale if it isn't the primary one
+      let cmsLocaleId: string | null = null;
+      try {
+        const cmsLocale = await apiClient.findCmsLocale(locale, { signal });
+        cmsLocaleId = cmsLocale && !cmsLocale.isPrimary ? cmsLocale.cmsLocaleId : null;
+      } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
+        console.warn('Could not load site locales, using the primary locale:', err);
+      }
+      const localizedCollections = cmsLocaleId
+        ? [
+          ...detected.publicHolidays,
+          ...detected.schoolHolidays,
+          ...(detected.states ? [detected.states] : []),
+          ...(shouldEnableCountries ? [detected.countries] : []),
+        ]
+        : [];
+
+      const [publicHolidayItems, schoolHolidayItems, stateItems, countryItems, localizedItems] = await Promise.all([
+        apiClient.fetchAllItemsFromCollections(detected.publicHolidays.map((collection: any) => collection.id), { signal }),
+        apiClient.fetchAllItemsFromCollections(detected.schoolHolidays.map((collection: any) => collection.id), { signal }),
         detected.states
-          ? apiClient.fetchAllCollectionItems(detected.states.id)
+          ? apiClient.fetchAllCollectionItems(detected.states.id, { signal })
           : Promise.resolve([]),
+        shouldEnableCountries
+          ? apiClient.fetchAllCollectionItems(detected.countries.id, { signal })
+          : Promise.resolve([]),
+        apiClient.fetchAllItemsFromCollections(
+          localizedCollections.map((collection: any) => collection.id),
+          { cmsLocaleId, signal }
+        ),
       ]);
 
-      // Step 6: Process and normalize data
-      const processedPublicHolidays = processPublicHolidays(publicHolidayItems, publicHolidayFields);
-      const processedSchoolHolidays = schoolHolidayFields
-        ? processSchoolHolidays(schoolHolidayItems, schoolHolidayFields)
+      // Translated names, falling back to the primary locale's names
+      const localizedItemsById = new Map(
+        localizedCollections.map((collection: any, i: number) => [collection.id, localizedItems[i]])
+      );
+      const localize = (collection: any, items: any[], fields: any) => (
+        localizeItemNames(items, localizedItemsById.get(collection.id) || null, fields)
+      );
+
+      // Step 6: Process and normalize data - holidays from several collections are merged
+      const publicHolidaySources = publicHolidayItems.map((items: any[], i: number) => ({
+        items: localize(detected.publicHolidays[i], items, publicHolidayFields[i]),
+        fields: publicHolidayFields[i],
+      }));
+      const schoolHolidaySources = schoolHolidayItems.map((items: any[], i: number) => ({
+        items: localize(detected.schoolHolidays[i], items, schoolHolidayFields[i]),
+        fields: schoolHolidayFields[i],
+      }));
+      const normalizedPublicHolidays = normalizePublicHolidays(publicHolidaySources, null);
+      const processedSchoolHolidays = processSchoolHolidays(schoolHolidaySources, null);
+
+      // Holidays tagged with state names (Option or text fields) bring their own state list
+      const usesStateTags = [...publicHolidayFields, ...schoolHolidayFields].some(fields => isStateTagField(fields.stateField));
+      let processedStates: any[] = [];
+      if (usesStateTags) {
+        processedStates = deriveStatesFromTags([...publicHolidaySources, ...schoolHolidaySources]);
+      } else if (stateFields) {
+        processedStates = processStates(localize(detected.states, stateItems, stateFields), stateFields);
+      }
+      const processedCountries = shouldEnableCountries && countryFields
+        ? processCountries(localize(detected.countries, countryItems, countryFields), countryFields)
         : [];
-      const processedStates = stateFields ? processStates(stateItems, stateFields) : [];
-
-      setPublicHolidays(processedPublicHolidays);
-      setSchoolHolidays(processedSchoolHolidays);
-      setStates(processedStates);
-
-      // Set default state if provided and exists
-      if (defaultState && processedStates.length > 0) {
-        const defaultStateObj = processedStates.find((s: any) => s.id === defaultState || s.name === defaultState);
-        if (defaultStateObj) {
-          setSelectedStateId(defaultStateObj.id);
-        } else if (processedStates.length > 0) {
-          setSelectedStateId(processedStates[0].id);
-        }
-      } else if (processedStates.length > 0 && shouldEnable) {
-        setSelectedStateId(processedStates[0].id);
+
+      // Built-in holidays - with the Australian states when the site has no states of its own
+      const useComputedStates = !hasPublicHolidayCollection && processedStates.length === 0;
+      if (useComputedStates) {
+        processedStates = [...AUSTRALIAN_STATES];
+      }
+      const computedPublicHolidays = useComputedHolidays
+        ? getComputedHolidayDefinitions({ states: processedStates, countries: processedCountries })
+        : [];
+
+      // Step 7: Check the CMS data for items that were skipped or look wrong
+      const dataWarnings = validateHolidayData({
+        publicHolidaySources,
+        schoolHolidaySources,
+        states: useComputedStates ? [] : processedStates,
+        countries: processedCountries,
+      });
+
+      // Step 8: Show the data and cache it for the next page load - the first state
+      // is only picked when filtering by state
+      const loadedData: LoadedData = {
+        publicHolidayDefinitions: [...normalizedPublicHolidays, ...computedPublicHolidays],
+        schoolHolidays: processedSchoolHolidays,
+        states: processedStates,
+        countries: processedCountries,
+        enableStateFilter: shouldEnable || useComputedStates,
+        pickFirstState: !!defaultState || shouldEnable || useComputedStates,
+        dataWarnings,
+      };
+      if (signal.aborted) {
+        return;
       }
+      applyLoadedData(loadedData, !!cached);
+      apiClient.writeCache(cacheKey, loadedData);
     } catch (err: any) {
+      if (signal.aborted || isAbortError(err)) {
+        return; // Superseded by a newer load, or unmounted
+      }
+      if (cached) {
+        // Keep showing the cached data - it is tried again on the next page load
+        console.warn('Could not refresh calendar data, showing cached data:', err);
+        return;
+      }
       console.error('Error fetching collections:', err);
-      setError(err.message || 'Failed to load calendar data. Please check your configuration.');
+      const message = err.message || 'Failed to load calendar data. Please check your configuration.';
+      setError(message);
+      if (!useMockData) {
+        setDiagnostics(buildDiagnosticsReport({ collections: allCollections, schemas, mapping, patterns, error: message }));
+      }
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
-  }, [apiClient, defaultState, useMockData]);
+  }, [
+    apiClient,
+    applyLoadedData,
+    cacheKey,
+    defaultState,
+    useMockData,
+    computedHolidays,
+    publicHolidaysCollectionId,
+    schoolHolidaysCollectionId,
+    pinnedStatesCollectionId,
+    pinnedCountriesCollectionId,
+    fieldMapping,
+    locale,
+    detectionLanguages,
+    detectionPatterns,
+  ]);
 
-  // Fetch collections on mount
+  // Report data warnings once they are known
+  useEffect(() => {
+    if (dataWarnings && onDataWarningsRef.current) {
+      onDataWarningsRef.current(dataWarnings);
+    }
+  }, [dataWarnings]);
+
+  // Fetch collections on mount and when the settings change, cancelling the load
+  // for the old settings (and any load still running on unmount)
   useEffect(() => {
     fetchCollections();
+    return () => {
+      if (loadControllerRef.current) {
+        loadControllerRef.current.abort();
+      }
+    };
   }, [fetchCollections]);
 
+  // Years to date recurring holidays for: the visible months, every range, and this
+  // year and next as well as the January after the suggestion year (the suggestions
+  // run into it). Joined into a string so the expansion below only reruns when the
+  // years change.
+  const holidayYearsKey = useMemo(() => {
+    const currentYear = new Date().getFullYear();
+    const years = new Set<number>([currentYear, currentYear + 1, suggestionYear + 1, ...visibleYears]);
+    ranges.forEach(({ range }) => {
+      if (range && range[0] && range[1]) {
+        for (let year = range[0].getFullYear(); year <= range[1].getFullYear(); year++) {
+          years.add(year);
+        }
+      }
+    });
+    return [...years].sort((a, b) => a - b).join(',');
+  }, [visibleYears, ranges, suggestionYear]);
+
+  // Dated public holidays for those years, with observed days
+  const publicHolidays = useMemo(() => {
+    return expandPublicHolidays(publicHolidayDefinitions, {
+      years: holidayYearsKey.split(',').map(Number),
+      observedRule: observedHolidays,
+      workingDays: parsedWorkingDays,
+    });
+  }, [publicHolidayDefinitions, holidayYearsKey, observedHolidays, parsedWorkingDays]);
+
+  // Only update when the years change, so re-renders of the calendar don't re-expand holidays
+  const handleVisibleYearsChange = useCallback((years: number[]) => {
+    setVisibleYears(prev => (prev.join(',') === years.join(',') ? prev : years));
+  }, []);
+
+  // Countries of the work and school states, for holidays that apply to a whole country.
+  // Without a state, the selected country is used.
+  const selectedState = findPlace(states, selectedStateId);
+  const effectiveCountryId = (selectedState && selectedState.countryId) || selectedCountryId;
+  const schoolState = findPlace(states, effectiveSchoolStateId);
+  const schoolCountryId = (schoolState && schoolState.countryId) || effectiveCountryId;
+
+  // Index holidays once per dataset and states for the calculations and day rendering
+  const holidayIndex = useMemo(
+    () => createHolidayIndex(publicHolidays, schoolHolidays, selectedStateId, {
+      schoolStateId: effectiveSchoolStateId,
+      countryId: effectiveCountryId,
+      schoolCountryId,
+    }),
+    [publicHolidays, schoolHolidays, selectedStateId, effectiveSchoolStateId, effectiveCountryId, schoolCountryId]
+  );
+
   // Update calculations when selection or state changes
   useEffect(() => {
-    if (selectedRange && selectedRange[0] && selectedRange[1]) {
-      const [startDate, endDate] = selectedRange;
-      const newMetrics = calculateAllMetrics(
-        startDate,
-        endDate,
-        publicHolidays,
-        schoolHolidays,
-        selectedStateId
-      );
-      setMetrics(newMetrics);
-    } else {
-      setMetrics({
-        totalDaysOff: 0,
-        leaveDaysUsed: 0,
-        schoolDaysAbsent: 0,
-      });
-    }
-  }, [selectedRange, publicHolidays, schoolHolidays, selectedStateId]);
+    const calculationOptions = {
+      workingDays: parsedWorkingDays,
+      schoolStateId: effectiveSchoolStateId,
+      countryId: effectiveCountryId,
+      schoolCountryId,
+      holidayIndex,
+    };
+
+    const newRangeMetrics: Record<number, typeof metrics> = {};
+    ranges.forEach(({ id, range, halfDayStart, halfDayEnd }) => {
+      if (range && range[0] && range[1]) {
+        newRangeMetrics[id] = calculateAllMetrics(
+          range[0],
+          range[1],
+          publicHolidays,
+          schoolHolidays,
+          selectedStateId,
+          { ...calculationOptions, halfDayStart, halfDayEnd }
+        );
+      }
+    });
+    setRangeMetrics(newRangeMetrics);
+
+    // Days shared by overlapping ranges are only counted once in the total
+    setMetrics(calculateCombinedMetrics(
+      ranges.map(({ range, halfDayStart, halfDayEnd }) => ({
+        startDate: range ? range[0] : null,
+        endDate: range ? range[1] : null,
+        halfDayStart,
+        halfDayEnd,
+      })),
+      publicHolidays,
+      schoolHolidays,
+      selectedStateId,
+      calculationOptions
+    ));
+  }, [
+    ranges,
+    publicHolidays,
+    schoolHolidays,
+    selectedStateId,
+    effectiveSchoolStateId,
+    effectiveCountryId,
+    schoolCountryId,
+    parsedWorkingDays,
+    holidayIndex,
+  ]);
 
-  // Handle date range change
+  // Handle date range change (applies to the active range)
   const handleRangeChange = useCallback((range: [Date, Date] | null) => {
-    setSelectedRange(range);
+    setRanges(prev => prev.map(item => (item.id === activeRangeId ? { ...item, range } : item)));
+  }, [activeRangeId]);
+
+  // Apply a suggested range (plain dates) to the date picker
+  const handleSuggestionSelect = useCallback((range: [string, string]) => {
+    handleRangeChange([plainDateToDate(range[0]) as Date, plainDateToDate(range[1]) as Date]);
+  }, [handleRangeChange]);
+
+  // Toggle a half-day marker on the active range
+  const handleHalfDayChange = useCallback((field: 'halfDayStart' | 'halfDayEnd', value: boolean) => {
+    setRanges(prev => prev.map(item => (item.id === activeRangeId ? { ...item, [field]: value } : item)));
+  }, [activeRangeId]);
+
+  // Start a new, empty range and make it the one being edited
+  const handleAddRange = useCallback(() => {
+    const id = nextRangeId.current++;
+    setRanges(prev => [...prev, { id, range: null, halfDayStart: false, halfDayEnd: false }]);
+    setActiveRangeId(id);
+  }, []);
+
+  const handleSelectRange = useCallback((id: number) => {
+    setActiveRangeId(id);
   }, []);
 
-  // Handle state selection change
+  // Remove a range - there is always at least one range to edit
+  const handleRemoveRange = useCallback((id: number) => {
+    const remaining = ranges.filter(item => item.id !== id);
+    if (remaining.length === 0) {
+      const newId = nextRangeId.current++;
+      setRanges([{ id: newId, range: null, halfDayStart: false, halfDayEnd: false }]);
+      setActiveRangeId(newId);
+      return;
+    }
+    setRanges(remaining);
+    if (id === activeRangeId) {
+      setActiveRangeId(remaining[remaining.length - 1].id);
+    }
+  }, [ranges, activeRangeId]);
+
+  // Ranges with their own metrics for the range list
+  const rangeItems = useMemo(() => {
+    return ranges.map(item => ({ ...item, metrics: rangeMetrics[item.id] || null }));
+  }, [ranges, rangeMetrics]);
+
+  // How each day of the completed ranges was counted, for the breakdown under the metrics
+  const dayBreakdowns = useMemo(() => {
+    return ranges
+      .filter(item => item.range && item.range[0] && item.range[1])
+      .map(({ id, range, halfDayStart, halfDayEnd }) => {
+        const [start, end] = range as [Date, Date];
+        return {
+          id,
+          startDate: toPlainDate(start) as string,
+          endDate: toPlainDate(end) as string,
+          days: calculateDayBreakdown(start, end, publicHolidays, schoolHolidays, selectedStateId, {
+            workingDays: parsedWorkingDays,
+            schoolStateId: effectiveSchoolStateId,
+            countryId: effectiveCountryId,
+            schoolCountryId,
+            holidayIndex,
+            halfDayStart,
+            halfDayEnd,
+          }),
+        };
+      });
+  }, [
+    ranges,
+    publicHolidays,
+    schoolHolidays,
+    selectedStateId,
+    effectiveSchoolStateId,
+    effectiveCountryId,
+    schoolCountryId,
+    parsedWorkingDays,
+    holidayIndex,
+  ]);
+
+  // Handle state selection change - the country follows the state
   const handleStateChange = useCallback((newStateId: string | null) => {
     setSelectedStateId(newStateId);
+    const state = findPlace(states, newStateId);
+    if (state && state.countryId) {
+      setSelectedCountryId(state.countryId);
+    }
+  }, [states]);
+
+  // Handle country selection change - the state moves to the first one in the country
+  const handleCountryChange = useCallback((newCountryId: string | null) => {
+    setSelectedCountryId(newCountryId);
+    if (!statesHaveCountries(states)) {
+      return; // States aren't linked to countries, so any state still fits
+    }
+    const current = findPlace(states, selectedStateId);
+    if (!current || current.countryId !== newCountryId) {
+      const first = states.find((state: any) => state.countryId === newCountryId);
+      setSelectedStateId(first ? first.id : null);
+    }
+  }, [states, selectedStateId]);
+
+  // Suggest the ranges that make the most of the leave budget, starting from today
+  const suggestionYears = useMemo(() => {
+    const currentYear = new Date().getFullYear();
+    return [currentYear, currentYear + 1];
   }, []);
 
+  const suggestions = useMemo(() => {
+    const today = toPlainDate(new Date());
+    return findBestLeaveRanges(
+      leaveBudget,
+      suggestionYear,
+      publicHolidays,
+      schoolHolidays,
+      selectedStateId,
+      {
+        fromDate: today,
+        workingDays: parsedWorkingDays,
+        schoolStateId: effectiveSchoolStateId,
+        countryId: effectiveCountryId,
+        schoolCountryId,
+        holidayIndex,
+      }
+    );
+  }, [
+    leaveBudget,
+    suggestionYear,
+    publicHolidays,
+    schoolHolidays,
+    selectedStateId,
+    effectiveSchoolStateId,
+    effectiveCountryId,
+    schoolCountryId,
+    parsedWorkingDays,
+    holidayIndex,
+  ]);
+
+  // Project the leave balance on each trip's start date, taking trips in date order
+  const balanceSettings = useMemo(() => {
+    if (!leaveYearStart) {
+      return null;
+    }
+    return { startingBalance: leaveBalance, accrualRate, leaveYearStart };
+  }, [leaveBalance, accrualRate, leaveYearStart]);
+
+  const tripBalances = useMemo(() => {
+    if (!balanceSettings) {
+      return {};
+    }
+    const trips = ranges
+      .filter(item => item.range && item.range[0] && rangeMetrics[item.id])
+      .map(item => ({
+        id: item.id,
+        startDate: (item.range as [Date, Date])[0],
+        leaveDaysUsed: rangeMetrics[item.id].leaveDaysUsed,
+      }));
+    return projectTripBalances(trips, balanceSettings);
+  }, [balanceSettings, ranges, rangeMetrics]);
+
+  const activeTripBalance = activeRange ? tripBalances[activeRange.id] || null : null;
+
+  // States in the selected country (every state when there are no countries, or the
+  // states aren't linked to them)
+  const countryStates = useMemo(() => {
+    if (countries.length === 0 || !selectedCountryId || !statesHaveCountries(states)) {
+      return states;
+    }
+    return states.filter((state: any) => state.countryId === selectedCountryId);
+  }, [states, countries, selectedCountryId]);
+
+  // The active range in every state of the country, only worked out while the comparison is open
+  const stateComparisonRows = useMemo(() => {
+    if (!compareStates || !selectedRange || !selectedRange[0] || !selectedRange[1]) {
+      return [];
+    }
+    return calculateMetricsByState(selectedRange[0], selectedRange[1], publicHolidays, schoolHolidays, countryStates, {
+      workingDays: parsedWorkingDays,
+      halfDayStart: activeRange.halfDayStart,
+      halfDayEnd: activeRange.halfDayEnd,
+    });
+  }, [compareStates, selectedRange, activeRange, publicHolidays, schoolHolidays, countryStates, parsedWorkingDays]);
+
   // Prepare dropdown options
+  const countryDropdownOptions = useMemo(() => {
+    return countries.map((country: any) => ({
+      id: country.id,
+      name: country.abbreviation || country.name,
+      value: country.id,
+    }));
+  }, [countries]);
+
   const dropdownOptions = useMemo(() => {
-    return states.map((state: any) => ({
+    return countryStates.map((state: any) => ({
       id: state.id,
       name: state.abbreviation || state.name, // Use abbreviation if available, fallback to name
       value: state.id,
     }));
+  }, [countryStates]);
+
+  // School state options - the first option follows the work state
+  const schoolDropdownOptions = useMemo(() => {
+    return [
+      { id: 'same', name: 'School: same state', value: '' },
+      ...states.map((state: any) => ({
+        id: state.id,
+        name: `School: ${state.abbreviation || state.name}`,
+        value: state.id,
+      })),
+    ];
   }, [states]);
 
   // Loading state
@@ -271,9 +895,10 @@ export function Calendar({
     return (
       <div className="calendar-component error">
         <div className="error-message">{error}</div>
-        <button onClick={fetchCollections} className="retry-button">
+        <button onClick={() => fetchCollections()} className="retry-button">
           Retry
         </button>
+        {diagnostics && <DiagnosticsPanel report={diagnostics} />}
       </div>
     );
   }
@@ -281,51 +906,150 @@ export function Calendar({
   // Main render
   return (
     <div className={`calendar-component theme-${theme}`} data-theme={theme}>
+      {showDataWarnings && dataWarnings && dataWarnings.length > 0 && (
+        <DataWarningsBanner warnings={dataWarnings} />
+      )}
+
       {/* Top Section: State Selector and Summary Stats */}
       <div className="calendar-header">
-        {/* State Dropdown (conditional) */}
-        {enableStateFilter && states.length > 0 && (
+        {/* Country and State Dropdowns (conditional) */}
+        {((enableStateFilter && states.length > 0) || countries.length > 0) && (
           <div className="state-selector">
-            <CustomDropdown
-              options={dropdownOptions}
-              value={selectedStateId || ''}
-              onChange={handleStateChange}
-              placeholder="State"
-              className="state-dropdown"
-            />
+            {countries.length > 0 && (
+              <CustomDropdown
+                options={countryDropdownOptions}
+                value={selectedCountryId || ''}
+                onChange={handleCountryChange}
+                placeholder="Country"
+                className="state-dropdown country-dropdown"
+              />
+            )}
+            {enableStateFilter && countryStates.length > 0 && (
+              <>
+                <CustomDropdown
+                  options={dropdownOptions}
+                  value={selectedStateId || ''}
+                  onChange={handleStateChange}
+                  placeholder="State"
+                  className="state-dropdown"
+                />
+                {schoolHolidays.length > 0 && (
+                  <CustomDropdown
+                    options={schoolDropdownOptions}
+                    value={schoolStateId || ''}
+                    onChange={setSchoolStateId}
+                    placeholder="School state"
+                    className="state-dropdown school-state-dropdown"
+                  />
+                )}
+                <button
+                  type="button"
+                  className={`compare-states-toggle ${compareStates ? 'active' : ''}`}
+                  aria-pressed={compareStates}
+                  onClick={() => setCompareStates(!compareStates)}
+                >
+                  Compare states
+                </button>
+              </>
+            )}
           </div>
         )}
 
-        {/* Results Display - Always visible */}
+        {/* Results Display - Always visible, totals across all ranges */}
         <div className="results-display">
           <div className="metric">
-            <span className="metric-value">{selectedRange && selectedRange[0] && selectedRange[1] ? metrics.totalDaysOff : 0}</span>
+            <span className="metric-value">{metrics.totalDaysOff}</span>
             <span className="metric-label">total days off</span>
           </div>
           <div className="metric">
-            <span className="metric-value">{selectedRange && selectedRange[0] && selectedRange[1] ? metrics.leaveDaysUsed : 0}</span>
+            <span className="metric-value">{metrics.leaveDaysUsed}</span>
             <span className="metric-label">
               <span className="metric-label-desktop">leave days used</span>
               <span className="metric-label-mobile">leave days</span>
             </span>
           </div>
           <div className="metric">
-            <span className="metric-value">{selectedRange && selectedRange[0] && selectedRange[1] ? metrics.schoolDaysAbsent : 0}</span>
+            <span className="metric-value">{metrics.schoolDaysAbsent}</span>
             <span className="metric-label">school days</span>
           </div>
+          {balanceSettings && (
+            <div className={`metric ${activeTripBalance && activeTripBalance.exceedsBalance ? 'metric-warning' : ''}`}>
+              <span className="metric-value">
+                {activeTripBalance
+                  ? activeTripBalance.balanceAfter
+                  : projectLeaveBalance(new Date(), balanceSettings)}
+              </span>
+              <span className="metric-label">
+                {activeTripBalance ? 'balance after this trip' : 'leave balance'}
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Per-day breakdown of the metrics */}
+      <DayBreakdown ranges={dayBreakdowns} locale={locale} />
+
+      {/* All states side by side for the active range */}
+      {compareStates && enableStateFilter && countryStates.length > 0 && (
+        <div className="state-comparison-panel">
+          {stateComparisonRows.length > 0 ? (
+            <StateComparison
+              rows={stateComparisonRows}
+              selectedStateId={selectedStateId}
+              onSelectState={handleStateChange}
+            />
+          ) : (
+            <div className="state-comparison-empty">Select dates to compare states.</div>
+          )}
+        </div>
+      )}
+
+      {/* Balance warning for the trip being edited */}
+      {activeTripBalance && activeTripBalance.exceedsBalance && selectedRange && (
+        <div className="balance-warning" role="alert">
+          This trip needs {rangeMetrics[activeRange.id].leaveDaysUsed} leave days, but only{' '}
+          {activeTripBalance.availableBalance} will be available on{' '}
+          {formatDate(selectedRange[0], locale)}.
+        </div>
+      )}
+
       {/* Calendar UI */}
       <CalendarUI
         selectedRange={selectedRange}
         onRangeChange={handleRangeChange}
+        ranges={rangeItems}
+        activeRangeId={activeRange ? activeRange.id : null}
+        onAddRange={handleAddRange}
+        onSelectRange={handleSelectRange}
+        onRemoveRange={handleRemoveRange}
+        halfDayStart={activeRange ? activeRange.halfDayStart : false}
+        halfDayEnd={activeRange ? activeRange.halfDayEnd : false}
+        onHalfDayChange={handleHalfDayChange}
         publicHolidays={publicHolidays}
         schoolHolidays={schoolHolidays}
         selectedStateId={selectedStateId}
+        schoolStateId={effectiveSchoolStateId}
+        countryId={effectiveCountryId}
+        schoolCountryId={schoolCountryId}
+        holidayIndex={holidayIndex}
+        onVisibleYearsChange={handleVisibleYearsChange}
+        workingDays={parsedWorkingDays}
         locale={locale}
         theme={theme}
       />
+
+      {/* Leave Suggestions */}
+      <LeaveSuggestions
+        suggestions={suggestions}
+        leaveBudget={leaveBudget}
+        onLeaveBudgetChange={setLeaveBudget}
+        year={suggestionYear}
+        years={suggestionYears}
+        onYearChange={setSuggestionYear}
+        onSelect={handleSuggestionSelect}
+        locale={locale}
+      />
     </div>
   );
 }
@@ -25,10 +25,104 @@ export default declareComponent(Calendar, {
       tooltip: 'If applicable, sets the default state for the loaded data',
       defaultValue: '',
     }),
+    defaultSchoolState: props.Text({
+      name: 'Default School State',
+      tooltip: 'If the school holidays should come from a different state than the public holidays, sets that state',
+      defaultValue: '',
+    }),
+    defaultCountry: props.Text({
+      name: 'Default Country',
+      tooltip: 'If the site has a Countries collection, sets the default country',
+      defaultValue: '',
+    }),
     locale: props.Text({
       name: 'Locale',
+      tooltip: 'Locale for dates, e.g. en-US or zh-CN. On localized sites, holiday names come from the matching CMS locale.',
       defaultValue: 'en-US',
     }),
+    workingDays: props.Text({
+      name: 'Working Days',
+      tooltip: 'Days that count as working days, e.g. Mon-Fri, Sun-Thu or Mon,Tue,Wed,Thu',
+      defaultValue: 'Mon-Fri',
+    }),
+    observedHolidays: props.Variant({
+      name: 'Observed Holidays',
+      tooltip: 'Add a substitute day on the next working day when a public holiday falls on a weekend. Observed dates entered in the CMS are always used.',
+      options: ['none', 'next-working-day'],
+      defaultValue: 'none',
+    }),
+    computedHolidays: props.Variant({
+      name: 'Built-in Holidays',
+      tooltip: 'Standard Australian public holidays computed from rules: never (off), used when there is no Public Holidays collection (fallback), or added to the CMS holidays (merge)',
+      options: ['off', 'fallback', 'merge'],
+      defaultValue: 'off',
+    }),
+    leaveBalance: props.Number({
+      name: 'Leave Balance',
+      tooltip: 'Leave balance in days at the start of the leave year',
+      defaultValue: 0,
+      min: 0,
+      decimals: 2,
+    }),
+    accrualRate: props.Number({
+      name: 'Accrual Rate',
+      tooltip: 'Leave days accrued per year, e.g. 20 for four weeks',
+      defaultValue: 20,
+      min: 0,
+      decimals: 2,
+    }),
+    leaveYearStart: props.Text({
+      name: 'Leave Year Start',
+      tooltip: 'Start of the leave year as MM-DD (e.g. 07-01) or YYYY-MM-DD. Leave empty to hide the leave balance.',
+      defaultValue: '',
+    }),
+    publicHolidaysCollectionId: props.Text({
+      name: 'Public Holidays Collection ID',
+      tooltip: 'Optional. Use these collections for public holidays instead of detecting them by name (comma-separated IDs)',
+      defaultValue: '',
+    }),
+    schoolHolidaysCollectionId: props.Text({
+      name: 'School Holidays Collection ID',
+      tooltip: 'Optional. Use these collections for school holidays instead of detecting them by name (comma-separated IDs)',
+      defaultValue: '',
+    }),
+    statesCollectionId: props.Text({
+      name: 'States Collection ID',
+      tooltip: 'Optional. Use this collection for states instead of detecting it by name',
+      defaultValue: '',
+    }),
+    countriesCollectionId: props.Text({
+      name: 'Countries Collection ID',
+      tooltip: 'Optional. Use this collection for countries instead of detecting it by name',
+      defaultValue: '',
+    }),
+    fieldMapping: props.Text({
+      name: 'Field Mapping',
+      tooltip: 'Optional JSON of field slugs per collection, e.g. {"schoolHolidays": {"startDate": "term-start", "endDate": "term-end"}}',
+      defaultValue: '',
+    }),
+    detectionLanguages: props.Text({
+      name: 'Detection Languages',
+      tooltip: 'Languages of your collection and field names, e.g. de,fr. Built in: en, de, fr, es. English is always included. Defaults to the language of the locale.',
+      defaultValue: '',
+    }),
+    detectionPatterns: props.Text({
+      name: 'Detection Patterns',
+      tooltip: 'Optional JSON of extra names to detect, e.g. {"collections": {"publicHolidays": ["Feiertagskalender"]}}',
+      defaultValue: '',
+    }),
+    cacheHours: props.Number({
+      name: 'Cache Hours',
+      tooltip: 'Holiday data is saved in the browser and shown at once on the next visit. After this many hours it is reloaded in the background. 0 turns caching off.',
+      defaultValue: 24,
+      min: 0,
+      decimals: 0,
+    }),
+    showDataWarnings: props.Boolean({
+      name: 'Show Data Warnings',
+      tooltip: 'Show problems found in the CMS holiday data (skipped items, duplicates, overlapping school holidays, unknown states) above the calendar. Turn off before publishing.',
+      defaultValue: false,
+    }),
     theme: props.Variant({
       name: 'Theme',
       options: ['dark', 'light'],
@@ -0,0 +1,42 @@
+/**
+ * Data Warnings Banner Component
+ * Lists problems found in the CMS holiday data, for site admins while building the site
+ */
+
+import React, { useState } from 'react';
+
+export interface DataWarningsBannerProps {
+  warnings: any[]; // Warnings from validateHolidayData()
+}
+
+export function DataWarningsBanner({ warnings }: DataWarningsBannerProps) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="data-warnings-banner" role="status">
+      <div className="data-warnings-summary">
+        <span>
+          {warnings.length} {warnings.length === 1 ? 'problem' : 'problems'} found in the holiday data
+        </span>
+        <button
+          type="button"
+          className="data-warnings-toggle"
+          aria-expanded={isOpen}
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          {isOpen ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul className="data-warnings-list">
+          {warnings.map((warning: any, index: number) => (
+            <li key={`${warning.type}-${index}`}>
+              {warning.message} <code>{warning.itemIds.join(', ')}</code>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
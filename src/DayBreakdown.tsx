@@ -0,0 +1,106 @@
+/**
+ * Day Breakdown Component
+ * Expandable list explaining how each day of the selected ranges was counted
+ */
+
+import React, { useState } from 'react';
+import { formatDate } from '../date-utils.js';
+
+export interface DayBreakdownDay {
+  date: string; // Plain 'YYYY-MM-DD' date
+  classifications: string[]; // weekend, public-holiday, school-holiday, leave-day, school-day
+  publicHolidays: { id: string | null; name: string; isObserved: boolean; actualDate: string | null; category: string | null; color: string | null }[];
+  schoolHolidays: { id: string | null; name: string; category: string | null; color: string | null }[];
+  dayFraction: number;
+  leaveDays: number;
+  schoolDays: number;
+}
+
+export interface DayBreakdownRange {
+  id: number;
+  startDate: string;
+  endDate: string;
+  days: DayBreakdownDay[];
+}
+
+export interface DayBreakdownProps {
+  ranges: DayBreakdownRange[];
+  locale?: string;
+}
+
+// Show "½" rather than "0.5" next to half days
+function formatCount(count: number) {
+  return count === 0.5 ? '½' : String(count);
+}
+
+export function DayBreakdown({ ranges, locale = 'en-US' }: DayBreakdownProps) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  const formatDay = (date: string) =>
+    formatDate(date, locale, { weekday: 'short', day: 'numeric', month: 'short' });
+
+  return (
+    <div className={`day-breakdown ${isOpen ? 'open' : ''}`}>
+      <button
+        type="button"
+        className="day-breakdown-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {isOpen ? 'Hide' : 'Show'} how each day was counted
+      </button>
+
+      {isOpen && ranges.map((range) => (
+        <div key={range.id} className="day-breakdown-range">
+          {ranges.length > 1 && (
+            <div className="day-breakdown-range-title">
+              {formatDay(range.startDate)} – {formatDay(range.endDate)}
+            </div>
+          )}
+          <ul className="day-breakdown-list">
+            {range.days.map((day) => {
+              const isWeekend = day.classifications.includes('weekend');
+              return (
+                <li key={day.date} className="day-breakdown-day">
+                  <span className="day-breakdown-date">{formatDay(day.date)}</span>
+                  <span className="day-breakdown-reasons">
+                    {isWeekend && <span className="day-breakdown-tag weekend">Weekend</span>}
+                    {day.publicHolidays.map((holiday, index) => (
+                      <span
+                        key={`${holiday.id}-${index}`}
+                        className="day-breakdown-tag public-holiday"
+                        style={holiday.color ? { backgroundColor: holiday.color } : undefined}
+                        title={holiday.category || undefined}
+                      >
+                        {holiday.name}
+                        {holiday.isObserved ? ' (observed)' : ''}
+                      </span>
+                    ))}
+                    {day.schoolHolidays.map((holiday, index) => (
+                      <span
+                        key={`${holiday.id}-${index}`}
+                        className="day-breakdown-tag school-holiday"
+                        style={holiday.color ? { backgroundColor: holiday.color } : undefined}
+                        title={holiday.category || undefined}
+                      >
+                        {holiday.name}
+                      </span>
+                    ))}
+                  </span>
+                  <span className="day-breakdown-counts">
+                    {day.leaveDays > 0 ? `${formatCount(day.leaveDays)} leave day` : 'No leave'}
+                    {day.schoolDays > 0 && ` · ${formatCount(day.schoolDays)} school day`}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+/**
+ * Diagnostics Panel Component
+ * Collapsible explanation of what collection detection found, shown with load errors
+ */
+
+import React, { useState } from 'react';
+import { formatDiagnosticsReport } from '../collection-diagnostics.js';
+
+export interface DiagnosticsPanelProps {
+  report: any; // Report from buildDiagnosticsReport()
+}
+
+const CONFIDENCE_LABELS: Record<string, string> = {
+  pinned: 'Pinned',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+  missing: 'Missing',
+};
+
+export function DiagnosticsPanel({ report }: DiagnosticsPanelProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const json = formatDiagnosticsReport(report);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Could not copy diagnostics:', err);
+    }
+  };
+
+  return (
+    <div className="diagnostics-panel">
+      <button
+        type="button"
+        className="diagnostics-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {isOpen ? 'Hide' : 'Show'} collection diagnostics
+      </button>
+
+      {isOpen && (
+        <div className="diagnostics-content">
+          {report.missing.length > 0 && (
+            <div className="diagnostics-section">
+              <div className="diagnostics-heading">Missing</div>
+              <ul className="diagnostics-list">
+                {report.missing.map((item: string) => <li key={item}>{item}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {report.warnings.length > 0 && (
+            <div className="diagnostics-section">
+              <div className="diagnostics-heading">Warnings</div>
+              <ul className="diagnostics-list">
+                {report.warnings.map((item: string) => <li key={item}>{item}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {Object.keys(report.roles).map((role) => {
+            const entry = report.roles[role];
+            return (
+              <div key={role} className="diagnostics-section">
+                <div className="diagnostics-heading">
+                  {entry.label}
+                  {entry.required ? '' : ' (optional)'}
+                  {entry.collections.length === 0 && (
+                    <>
+                      : not found
+                      <span className="diagnostics-confidence missing">{CONFIDENCE_LABELS.missing}</span>
+                    </>
+                  )}
+                </div>
+                {entry.collections.map((collection: any) => (
+                  <div key={collection.id} className="diagnostics-collection">
+                    <div className="diagnostics-collection-name">
+                      "{collection.name}"
+                      <span className={`diagnostics-confidence ${collection.confidence}`}>
+                        {CONFIDENCE_LABELS[collection.confidence]}
+                      </span>
+                    </div>
+                    {collection.fields && collection.fields.length > 0 && (
+                      <table className="diagnostics-fields">
+                        <tbody>
+                          {collection.fields.map((field: any) => (
+                            <tr key={field.role}>
+                              <td>{field.role}{field.required ? ' *' : ''}</td>
+                              <td>{field.slug ? `${field.slug} (${field.type})` : `needs ${field.expectedTypes.join(' or ')}`}</td>
+                              <td>
+                                <span className={`diagnostics-confidence ${field.confidence}`}>
+                                  {CONFIDENCE_LABELS[field.confidence]}
+                                </span>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+
+          {report.collections.length > 0 && (
+            <div className="diagnostics-section">
+              <div className="diagnostics-heading">Collections on this site</div>
+              <ul className="diagnostics-list">
+                {report.collections.map((collection: any) => (
+                  <li key={collection.id}>
+                    {collection.name} <code>{collection.id}</code>
+                    {collection.usedAs ? ` - used as ${report.roles[collection.usedAs].label.toLowerCase()}` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="diagnostics-section">
+            <button type="button" className="diagnostics-copy" onClick={handleCopy}>
+              {copied ? 'Copied' : 'Copy as JSON'}
+            </button>
+            <pre className="diagnostics-json">{json}</pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
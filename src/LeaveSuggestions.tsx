@@ -0,0 +1,103 @@
+/**
+ * Leave Suggestions Component
+ * Lists the best date ranges for a leave budget and lets the user apply one
+ */
+
+import React from 'react';
+import { formatDate } from '../date-utils.js';
+
+// Leave budget range - the optimizer's work grows with the budget
+const MIN_LEAVE_BUDGET = 1;
+const MAX_LEAVE_BUDGET = 60;
+
+export interface LeaveSuggestion {
+  startDate: string; // Plain 'YYYY-MM-DD' date
+  endDate: string;
+  totalDaysOff: number;
+  leaveDaysUsed: number;
+  schoolDaysAbsent: number;
+  efficiency: number;
+}
+
+export interface LeaveSuggestionsProps {
+  suggestions: LeaveSuggestion[];
+  leaveBudget: number;
+  onLeaveBudgetChange: (budget: number) => void;
+  year: number;
+  years: number[];
+  onYearChange: (year: number) => void;
+  onSelect: (range: [string, string]) => void;
+  locale?: string;
+}
+
+export function LeaveSuggestions({
+  suggestions,
+  leaveBudget,
+  onLeaveBudgetChange,
+  year,
+  years,
+  onYearChange,
+  onSelect,
+  locale = 'en-US',
+}: LeaveSuggestionsProps) {
+  const formatDay = (date: string) =>
+    formatDate(date, locale, { weekday: 'short', day: 'numeric', month: 'short' });
+
+  return (
+    <div className="leave-suggestions">
+      <div className="leave-suggestions-controls">
+        <label className="leave-suggestions-budget">
+          <span>Best use of</span>
+          <input
+            type="number"
+            min={MIN_LEAVE_BUDGET}
+            max={MAX_LEAVE_BUDGET}
+            value={leaveBudget}
+            onChange={(e) => {
+              const budget = parseInt(e.target.value, 10);
+              onLeaveBudgetChange(Number.isNaN(budget)
+                ? MIN_LEAVE_BUDGET
+                : Math.min(MAX_LEAVE_BUDGET, Math.max(MIN_LEAVE_BUDGET, budget)));
+            }}
+          />
+          <span>leave days in</span>
+        </label>
+        <div className="leave-suggestions-years">
+          {years.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`leave-suggestions-year ${option === year ? 'selected' : ''}`}
+              onClick={() => onYearChange(option)}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {suggestions.length === 0 ? (
+        <div className="leave-suggestions-empty">No suggestions for this year.</div>
+      ) : (
+        <ul className="leave-suggestions-list">
+          {suggestions.map((suggestion) => (
+            <li key={suggestion.startDate}>
+              <button
+                type="button"
+                className="leave-suggestion"
+                onClick={() => onSelect([suggestion.startDate, suggestion.endDate])}
+              >
+                <span className="leave-suggestion-dates">
+                  {formatDay(suggestion.startDate)} – {formatDay(suggestion.endDate)}
+                </span>
+                <span className="leave-suggestion-summary">
+                  {suggestion.leaveDaysUsed} leave days for {suggestion.totalDaysOff} days off
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
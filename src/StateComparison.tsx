@@ -0,0 +1,115 @@
+/**
+ * State Comparison Component
+ * Sortable table of the selected range's metrics in every state
+ */
+
+import React, { useState, useMemo } from 'react';
+
+export interface StateMetrics {
+  stateId: string;
+  name: string;
+  abbreviation: string;
+  totalDaysOff: number;
+  leaveDaysUsed: number;
+  schoolDaysAbsent: number;
+}
+
+export interface StateComparisonProps {
+  rows: StateMetrics[];
+  selectedStateId: string | null;
+  onSelectState: (stateId: string) => void;
+}
+
+type SortKey = 'name' | 'totalDaysOff' | 'leaveDaysUsed' | 'schoolDaysAbsent';
+
+const COLUMNS: { key: SortKey; label: string }[] = [
+  { key: 'name', label: 'State' },
+  { key: 'totalDaysOff', label: 'Total days off' },
+  { key: 'leaveDaysUsed', label: 'Leave days' },
+  { key: 'schoolDaysAbsent', label: 'School days' },
+];
+
+// Most days off wins; fewer leave days breaks a tie
+function compareBest(a: StateMetrics, b: StateMetrics) {
+  return b.totalDaysOff - a.totalDaysOff || a.leaveDaysUsed - b.leaveDaysUsed;
+}
+
+export function StateComparison({ rows, selectedStateId, onSelectState }: StateComparisonProps) {
+  const [sortKey, setSortKey] = useState<SortKey>('totalDaysOff');
+  const [sortDescending, setSortDescending] = useState(true);
+
+  // Every state tied for the best result is highlighted
+  const bestStateIds = useMemo(() => {
+    if (rows.length === 0) {
+      return new Set<string>();
+    }
+    const best = [...rows].sort(compareBest)[0];
+    return new Set(rows.filter(row => compareBest(row, best) === 0).map(row => row.stateId));
+  }, [rows]);
+
+  const sortedRows = useMemo(() => {
+    const direction = sortDescending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+      const order = sortKey === 'name'
+        ? a.name.localeCompare(b.name)
+        : a[sortKey] - b[sortKey];
+      return order * direction || a.name.localeCompare(b.name);
+    });
+  }, [rows, sortKey, sortDescending]);
+
+  // Clicking the sorted column flips the direction; a new column starts with the highest first
+  const handleSort = (key: SortKey) => {
+    if (key === sortKey) {
+      setSortDescending(!sortDescending);
+    } else {
+      setSortKey(key);
+      setSortDescending(key !== 'name');
+    }
+  };
+
+  return (
+    <table className="state-comparison">
+      <thead>
+        <tr>
+          {COLUMNS.map(({ key, label }) => (
+            <th
+              key={key}
+              aria-sort={key === sortKey ? (sortDescending ? 'descending' : 'ascending') : 'none'}
+            >
+              <button
+                type="button"
+                className={`state-comparison-sort ${key === sortKey ? 'active' : ''}`}
+                onClick={() => handleSort(key)}
+              >
+                {label}
+                {key === sortKey && <span aria-hidden="true">{sortDescending ? ' ↓' : ' ↑'}</span>}
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sortedRows.map((row) => {
+          const isBest = bestStateIds.has(row.stateId);
+          const isSelected = row.stateId === selectedStateId;
+          return (
+            <tr
+              key={row.stateId}
+              className={`state-comparison-row ${isBest ? 'best' : ''} ${isSelected ? 'selected' : ''}`}
+              onClick={() => onSelectState(row.stateId)}
+              title={`Show ${row.name} in the calendar`}
+            >
+              <td>
+                {row.abbreviation || row.name}
+                {isBest && <span className="state-comparison-best">Most days off</span>}
+              </td>
+              <td>{row.totalDaysOff}</td>
+              <td>{row.leaveDaysUsed}</td>
+              <td>{row.schoolDaysAbsent}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
@@ -16,8 +16,25 @@ function getConfig() {
     siteId: params.get('siteId') || (document.getElementById('siteId') as HTMLInputElement)?.value || '',
     apiEndpoint: params.get('apiEndpoint') || (document.getElementById('apiEndpoint') as HTMLInputElement)?.value || '',
     defaultState: params.get('defaultState') || (document.getElementById('defaultState') as HTMLInputElement)?.value || '',
+    defaultSchoolState: params.get('defaultSchoolState') || '',
+    defaultCountry: params.get('defaultCountry') || '',
     locale: params.get('locale') || (document.getElementById('locale') as HTMLInputElement)?.value || 'en-US',
     theme: params.get('theme') || 'dark',
+    workingDays: params.get('workingDays') || undefined,
+    observedHolidays: params.get('observedHolidays') || 'none',
+    computedHolidays: params.get('computedHolidays') || 'off',
+    leaveBalance: Number(params.get('leaveBalance')) || 0,
+    accrualRate: params.has('accrualRate') ? Number(params.get('accrualRate')) : undefined,
+    leaveYearStart: params.get('leaveYearStart') || '',
+    publicHolidaysCollectionId: params.get('publicHolidaysCollectionId') || undefined,
+    schoolHolidaysCollectionId: params.get('schoolHolidaysCollectionId') || undefined,
+    statesCollectionId: params.get('statesCollectionId') || undefined,
+    countriesCollectionId: params.get('countriesCollectionId') || undefined,
+    fieldMapping: params.get('fieldMapping') || undefined,
+    detectionLanguages: params.get('detectionLanguages') || undefined,
+    detectionPatterns: params.get('detectionPatterns') || undefined,
+    cacheHours: params.has('cacheHours') ? Number(params.get('cacheHours')) : undefined,
+    showDataWarnings: params.get('showDataWarnings') === 'true',
     useMockData: params.get('useMockData') === 'true' || (document.getElementById('useMockData') as HTMLInputElement)?.checked || false,
   };
 }
@@ -85,9 +102,26 @@ function getConfig() {
               siteId={config.siteId || undefined}
               apiEndpoint={config.apiEndpoint || undefined}
               defaultState={config.defaultState || undefined}
+              defaultSchoolState={config.defaultSchoolState || undefined}
+              defaultCountry={config.defaultCountry || undefined}
               locale={config.locale}
               theme={config.theme as 'light' | 'dark'}
+              workingDays={config.workingDays}
+              observedHolidays={config.observedHolidays as 'none' | 'next-working-day'}
+              computedHolidays={config.computedHolidays as 'off' | 'fallback' | 'merge'}
+              leaveBalance={config.leaveBalance}
+              accrualRate={config.accrualRate}
+              leaveYearStart={config.leaveYearStart}
+              publicHolidaysCollectionId={config.publicHolidaysCollectionId}
+              schoolHolidaysCollectionId={config.schoolHolidaysCollectionId}
+              statesCollectionId={config.statesCollectionId}
+              countriesCollectionId={config.countriesCollectionId}
+              fieldMapping={config.fieldMapping}
+              detectionLanguages={config.detectionLanguages}
+              detectionPatterns={config.detectionPatterns}
               useMockData={config.useMockData}
+              cacheHours={config.cacheHours}
+              showDataWarnings={config.showDataWarnings}
             />
           </ErrorBoundary>
         </React.StrictMode>
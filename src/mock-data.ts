@@ -1,115 +1,124 @@
 /**
  * Mock data for testing Calendar component
- * Simulates Webflow CMS collections data
+ * Simulates Webflow CMS collections data, already normalized to plain 'YYYY-MM-DD' dates
  */
 
 export const mockPublicHolidays = [
   {
     id: 'ph1',
-    date: new Date('2025-01-01'),
+    date: '2025-01-01',
     name: 'New Year\'s Day',
     stateIds: ['state1', 'state2'],
   },
   {
     id: 'ph2',
-    date: new Date('2025-01-26'),
+    date: '2025-01-26',
     name: 'Australia Day',
     stateIds: ['state1'],
   },
   {
     id: 'ph3',
-    date: new Date('2025-03-17'),
+    date: '2025-03-17',
     name: 'St. Patrick\'s Day',
     stateIds: ['state2'],
+    category: 'Observance',
+    color: '#2E7D32',
   },
   {
     id: 'ph4',
-    date: new Date('2025-04-25'),
+    date: '2025-04-25',
     name: 'ANZAC Day',
     stateIds: ['state1', 'state2'],
   },
   {
     id: 'ph5',
-    date: new Date('2025-12-25'),
+    date: '2025-12-25',
     name: 'Christmas Day',
     stateIds: ['state1', 'state2'],
   },
   {
     id: 'ph6',
-    date: new Date('2025-12-26'),
+    date: '2025-12-26',
     name: 'Boxing Day',
     stateIds: ['state1', 'state2'],
   },
+  {
+    id: 'ph7',
+    date: '2025-02-06',
+    name: 'Waitangi Day',
+    stateIds: [],
+    countryIds: ['country2'], // National holiday - every state in New Zealand
+  },
 ];
 
 export const mockSchoolHolidays = [
   {
     id: 'sh1',
-    startDate: new Date('2025-01-15'),
-    endDate: new Date('2025-01-31'),
+    startDate: '2025-01-15',
+    endDate: '2025-01-31',
     name: 'Summer Holidays',
     stateId: 'state1',
   },
   {
     id: 'sh2',
-    startDate: new Date('2025-01-20'),
-    endDate: new Date('2025-02-05'),
+    startDate: '2025-01-20',
+    endDate: '2025-02-05',
     name: 'Summer Holidays',
     stateId: 'state2',
   },
   {
     id: 'sh3',
-    startDate: new Date('2025-04-10'),
-    endDate: new Date('2025-04-27'),
+    startDate: '2025-04-10',
+    endDate: '2025-04-27',
     name: 'Easter Holidays',
     stateId: 'state1',
   },
   {
     id: 'sh4',
-    startDate: new Date('2025-04-12'),
-    endDate: new Date('2025-04-28'),
+    startDate: '2025-04-12',
+    endDate: '2025-04-28',
     name: 'Easter Holidays',
     stateId: 'state2',
   },
   {
     id: 'sh5',
-    startDate: new Date('2025-07-05'),
-    endDate: new Date('2025-07-20'),
+    startDate: '2025-07-05',
+    endDate: '2025-07-20',
     name: 'Winter Holidays',
     stateId: 'state1',
   },
   {
     id: 'sh6',
-    startDate: new Date('2025-07-10'),
-    endDate: new Date('2025-07-25'),
+    startDate: '2025-07-10',
+    endDate: '2025-07-25',
     name: 'Winter Holidays',
     stateId: 'state2',
   },
   {
     id: 'sh7',
-    startDate: new Date('2025-09-20'),
-    endDate: new Date('2025-10-06'),
+    startDate: '2025-09-20',
+    endDate: '2025-10-06',
     name: 'Spring Holidays',
     stateId: 'state1',
   },
   {
     id: 'sh8',
-    startDate: new Date('2025-09-25'),
-    endDate: new Date('2025-10-10'),
+    startDate: '2025-09-25',
+    endDate: '2025-10-10',
     name: 'Spring Holidays',
     stateId: 'state2',
   },
   {
     id: 'sh9',
-    startDate: new Date('2025-12-15'),
-    endDate: new Date('2026-01-31'),
+    startDate: '2025-12-15',
+    endDate: '2026-01-31',
     name: 'Summer Holidays',
     stateId: 'state1',
   },
   {
     id: 'sh10',
-    startDate: new Date('2025-12-20'),
-    endDate: new Date('2026-02-05'),
+    startDate: '2025-12-20',
+    endDate: '2026-02-05',
     name: 'Summer Holidays',
     stateId: 'state2',
   },
@@ -121,12 +130,36 @@ export const mockStates = [
     name: 'New South Wales',
     slug: 'nsw',
     abbreviation: 'NSW',
+    countryId: 'country1',
   },
   {
     id: 'state2',
     name: 'Victoria',
     slug: 'vic',
     abbreviation: 'VIC',
+    countryId: 'country1',
+  },
+  {
+    id: 'state3',
+    name: 'Auckland',
+    slug: 'auckland',
+    abbreviation: 'AUK',
+    countryId: 'country2',
+  },
+];
+
+export const mockCountries = [
+  {
+    id: 'country1',
+    name: 'Australia',
+    slug: 'australia',
+    abbreviation: 'AU',
+  },
+  {
+    id: 'country2',
+    name: 'New Zealand',
+    slug: 'new-zealand',
+    abbreviation: 'NZ',
   },
 ];
 
@@ -4,20 +4,32 @@
  */
 
 import { proxyGet, proxyRequest } from './api-proxy.js';
+import { withRetry, createResponseError, DEFAULT_RETRY_OPTIONS } from './request-retry.js';
+import { createDataCache, DEFAULT_CACHE_TTL } from './data-cache.js';
 
 const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
 
+// Cache key for the site's locales, which rarely change
+const SITE_LOCALES_CACHE_KEY = 'site-locales';
+
+// Statuses that won't change by asking again (no access, or no such site)
+const PERMANENT_ERROR_STATUSES = [401, 403, 404];
+
 /**
  * Make a direct API request to Webflow (development/testing only)
  * @param {string} apiToken - Webflow API token
  * @param {string} method - HTTP method
  * @param {string} url - Full API URL
  * @param {object} params - Query parameters or body
+ * @param {AbortSignal} signal - Cancels the request (optional)
  * @returns {Promise<any>} API response
+ * @throws {Error} With status and retryAfter for non-OK responses, isNetworkError when the request
+ *   doesn't reach the API, or an AbortError when cancelled
  */
-async function directApiRequest(apiToken, method, url, params = {}) {
+async function directApiRequest(apiToken, method, url, params = {}, signal = undefined) {
   const options = {
     method,
+    signal,
     headers: {
       'Authorization': `Bearer ${apiToken}`,
       'Content-Type': 'application/json',
@@ -37,64 +49,202 @@ async function directApiRequest(apiToken, method, url, params = {}) {
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw createResponseError(errorData.message || `HTTP ${response.status}: ${response.statusText}`, response);
     }
 
     return await response.json();
   } catch (error) {
     if (error instanceof TypeError && error.message.includes('fetch')) {
-      // CORS error - browser blocks cross-origin requests
-      throw new Error('CORS error: Browser is blocking the request to Webflow API. This is expected when using direct API calls from a browser. Please use the Vercel backend proxy (apiEndpoint) instead of direct API token (apiToken) for browser-based testing.');
+      // CORS error - browser blocks cross-origin requests (or the network is down, which
+      // fetch reports the same way, so it is retried like a proxy network error)
+      const networkError = new Error('CORS error: Browser is blocking the request to Webflow API. This is expected when using direct API calls from a browser. Please use the Vercel backend proxy (apiEndpoint) instead of direct API token (apiToken) for browser-based testing.');
+      networkError.isNetworkError = true;
+      throw networkError;
     }
     throw error;
   }
 }
 
+/**
+ * Find the site locale for a locale code
+ * Matches the full code first (e.g. zh-CN), then the language alone (zh), ignoring case
+ * @param {object} siteLocales - Site locales ({ primary, secondary }) from getSite()
+ * @param {string} locale - Locale code, e.g. 'zh-CN'
+ * @returns {object|null} Matching site locale (with cmsLocaleId and isPrimary), or null
+ */
+export function findCmsLocale(siteLocales, locale) {
+  if (!siteLocales || !locale) {
+    return null;
+  }
+  const candidates = [
+    ...(siteLocales.primary ? [{ ...siteLocales.primary, isPrimary: true }] : []),
+    ...(siteLocales.secondary || [])
+      .filter(item => item.enabled !== false)
+      .map(item => ({ ...item, isPrimary: false })),
+  ].filter(item => item.cmsLocaleId && item.tag);
+
+  const code = locale.toLowerCase();
+  const language = code.split('-')[0];
+  return candidates.find(item => item.tag.toLowerCase() === code)
+    || candidates.find(item => item.tag.toLowerCase().split('-')[0] === language)
+    || null;
+}
+
 /**
  * Webflow API client class
  */
 export class WebflowApiClient {
+  /**
+   * @param {object} config - Client configuration
+   * @param {string} config.siteId - Webflow site ID
+   * @param {string} config.apiEndpoint - Backend proxy endpoint
+   * @param {string} config.apiToken - Direct API token (dev only)
+   * @param {object} config.retry - Retry budget for GET requests: retries, baseDelay, maxDelay and an
+   *   optional onRetry hook (default: DEFAULT_RETRY_OPTIONS; { retries: 0 } turns retrying off)
+   * @param {object} config.cache - Cache for loaded data: ttl in ms (default: DEFAULT_CACHE_TTL;
+   *   { ttl: 0 } turns caching off)
+   */
   constructor(config) {
     this.siteId = config.siteId;
     this.apiEndpoint = config.apiEndpoint; // Vercel proxy endpoint
     this.apiToken = config.apiToken; // Direct API token (dev only)
     this.useProxy = !!config.apiEndpoint;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...(config.retry || {}) };
+    const { ttl = DEFAULT_CACHE_TTL } = config.cache || {};
+    this.cache = createDataCache({ namespace: this.siteId, ttl });
+    this.siteLocales = undefined; // Loaded on first use - null when the site has none or they can't be read
+  }
+
+  /**
+   * Read data cached for this site
+   * @param {string} key - Cache key, e.g. the collections and settings the data was loaded with
+   * @returns {object|null} { value, savedAt, isStale }, or null if nothing is cached
+   */
+  readCache(key) {
+    return this.cache.read(key);
+  }
+
+  /**
+   * Cache data for this site
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable data
+   */
+  writeCache(key, value) {
+    this.cache.write(key, value);
+  }
+
+  /**
+   * Remove all data cached for this site
+   */
+  clearCache() {
+    this.cache.clear();
+    this.siteLocales = undefined;
   }
 
   /**
    * Make an API request
+   * GET requests are retried on rate limits and server errors; other methods aren't,
+   * since they may have taken effect before failing
    * @param {string} method - HTTP method
    * @param {string} path - API path (relative to /v2)
    * @param {object} params - Query parameters or body
+   * @param {object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request, and any retries it is waiting on
    * @returns {Promise<any>} API response
    */
-  async request(method, path, params = {}) {
-    if (this.useProxy) {
-      return proxyRequest(this.apiEndpoint, this.siteId, method, path, params);
-    } else if (this.apiToken) {
-      const url = `${WEBFLOW_API_BASE}/${path}`;
-      return directApiRequest(this.apiToken, method, url, params);
-    } else {
-      throw new Error('No API endpoint or token provided. Please configure apiEndpoint or apiToken.');
+  async request(method, path, params = {}, options = {}) {
+    const { signal } = options;
+    const send = () => {
+      if (this.useProxy) {
+        return proxyRequest(this.apiEndpoint, this.siteId, method, path, params, { signal });
+      } else if (this.apiToken) {
+        const url = `${WEBFLOW_API_BASE}/${path}`;
+        return directApiRequest(this.apiToken, method, url, params, signal);
+      } else {
+        throw new Error('No API endpoint or token provided. Please configure apiEndpoint or apiToken.');
+      }
+    };
+
+    return method === 'GET' ? withRetry(send, this.retryOptions, signal) : send();
+  }
+
+  /**
+   * Get site details, including its locales
+   * @param {object} options - Request options ({ signal })
+   * @returns {Promise<object>} Site object
+   */
+  async getSite(options = {}) {
+    return await this.request('GET', `sites/${this.siteId}`, {}, options);
+  }
+
+  /**
+   * Get the site's locales
+   * They are loaded once and kept with the cached data, so most loads make no request.
+   * A lookup refused for good (e.g. a token without sites:read) is remembered as well, so
+   * it costs one request per cache period; rate limits and server or network errors are
+   * retried as usual and not remembered.
+   * @param {object} options - Request options ({ signal })
+   * @returns {Promise<object|null>} Site locales ({ primary, secondary }), or null if the site has none
+   * @throws {Error} If the site can't be read - after a 401, 403 or 404, later calls return null
+   *   until the cache expires
+   */
+  async getSiteLocales(options = {}) {
+    if (this.siteLocales === undefined) {
+      const cached = this.cache.read(SITE_LOCALES_CACHE_KEY);
+      if (cached && !cached.isStale) {
+        this.siteLocales = cached.value;
+      }
     }
+    if (this.siteLocales !== undefined) {
+      return this.siteLocales;
+    }
+
+    try {
+      const site = await this.getSite(options);
+      this.siteLocales = site.locales || null;
+    } catch (error) {
+      if (PERMANENT_ERROR_STATUSES.includes(error.status)) {
+        this.siteLocales = null;
+        this.cache.write(SITE_LOCALES_CACHE_KEY, null);
+      }
+      throw error;
+    }
+    this.cache.write(SITE_LOCALES_CACHE_KEY, this.siteLocales);
+    return this.siteLocales;
+  }
+
+  /**
+   * Find the CMS locale of the site that matches a locale code
+   * @param {string} locale - Locale code, e.g. 'zh-CN'
+   * @param {object} options - Request options ({ signal })
+   * @returns {Promise<object|null>} Matching site locale, or null if the site has none
+   */
+  async findCmsLocale(locale, options = {}) {
+    if (!locale) {
+      return null;
+    }
+    const siteLocales = await this.getSiteLocales(options);
+    return findCmsLocale(siteLocales, locale);
   }
 
   /**
    * List all collections for a site
+   * @param {object} options - Request options ({ signal })
    * @returns {Promise<Array>} Array of collection objects
    */
-  async listCollections() {
-    const response = await this.request('GET', `sites/${this.siteId}/collections`);
+  async listCollections(options = {}) {
+    const response = await this.request('GET', `sites/${this.siteId}/collections`, {}, options);
     return response.collections || [];
   }
 
   /**
    * Get collection schema/details
    * @param {string} collectionId - Collection ID
+   * @param {object} options - Request options ({ signal })
    * @returns {Promise<object>} Collection schema
    */
-  async getCollection(collectionId) {
-    return await this.request('GET', `collections/${collectionId}`);
+  async getCollection(collectionId, options = {}) {
+    return await this.request('GET', `collections/${collectionId}`, {}, options);
   }
 
   /**
@@ -103,29 +253,36 @@ export class WebflowApiClient {
    * @param {object} options - Pagination options
    * @param {number} options.limit - Items per page (default: 100)
    * @param {number} options.offset - Offset for pagination (default: 0)
+   * @param {string} options.cmsLocaleId - CMS locale of the items (default: the primary locale)
+   * @param {AbortSignal} options.signal - Cancels the request
    * @returns {Promise<object>} Response with items array
    */
   async listCollectionItems(collectionId, options = {}) {
-    const { limit = 100, offset = 0 } = options;
+    const { limit = 100, offset = 0, cmsLocaleId, signal } = options;
     return await this.request('GET', `collections/${collectionId}/items`, {
       limit,
       offset,
-    });
+      ...(cmsLocaleId ? { cmsLocaleId } : {}),
+    }, { signal });
   }
 
   /**
    * Fetch all items from a collection (handles pagination automatically)
    * @param {string} collectionId - Collection ID
+   * @param {object} options - Fetch options
+   * @param {string} options.cmsLocaleId - CMS locale of the items (default: the primary locale)
+   * @param {AbortSignal} options.signal - Cancels the requests
    * @returns {Promise<Array>} Array of all items
    */
-  async fetchAllCollectionItems(collectionId) {
+  async fetchAllCollectionItems(collectionId, options = {}) {
+    const { cmsLocaleId, signal } = options;
     const allItems = [];
     let offset = 0;
     const limit = 100;
     let hasMore = true;
 
     while (hasMore) {
-      const response = await this.listCollectionItems(collectionId, { limit, offset });
+      const response = await this.listCollectionItems(collectionId, { limit, offset, cmsLocaleId, signal });
       const items = response.items || [];
       allItems.push(...items);
 
@@ -136,5 +293,17 @@ export class WebflowApiClient {
 
     return allItems;
   }
+
+  /**
+   * Fetch all items from several collections
+   * @param {string[]} collectionIds - Collection IDs
+   * @param {object} options - Fetch options
+   * @param {string} options.cmsLocaleId - CMS locale of the items (default: the primary locale)
+   * @param {AbortSignal} options.signal - Cancels the requests
+   * @returns {Promise<Array>} Array of item arrays, in the same order as collectionIds
+   */
+  async fetchAllItemsFromCollections(collectionIds, options = {}) {
+    return Promise.all(collectionIds.map(collectionId => this.fetchAllCollectionItems(collectionId, options)));
+  }
 }
 